@@ -8,6 +8,7 @@ import Tooltip from 'primevue/tooltip'
 
 import App from './App.vue'
 import router from './router'
+import { usePwaStore } from './stores/pwa'
 
 import 'primeflex/primeflex.css'
 import 'primeicons/primeicons.css'
@@ -31,3 +32,6 @@ app.use(ConfirmationService)
 app.directive('tooltip', Tooltip)
 
 app.mount('#app')
+
+usePwaStore().registerServiceWorker()
+
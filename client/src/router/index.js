@@ -38,6 +38,18 @@ const routes = [
     component: () => import('../pages/SeriesDetail.vue'),
     meta: { requiresAuth: true }
   },
+  {
+    path: '/stats',
+    name: 'stats',
+    component: () => import('../pages/Stats.vue'),
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/downloads',
+    name: 'downloads',
+    component: () => import('../pages/Downloads.vue'),
+    meta: { requiresAuth: true }
+  },
   {
     path: '/admin',
     name: 'admin',
@@ -1,5 +1,16 @@
 const API_BASE = '/api'
 
+// Facet filters take several values, sent as the same parameter repeated
+function toBookQueryString(params) {
+  const searchParams = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    for (const item of [].concat(value)) {
+      searchParams.append(key, item)
+    }
+  }
+  return searchParams.toString()
+}
+
 class ApiService {
   constructor() {
     this.token = localStorage.getItem('token')
@@ -81,10 +92,15 @@ class ApiService {
 
   // Books
   async getBooks(params = {}) {
-    const queryString = new URLSearchParams(params).toString()
+    const queryString = toBookQueryString(params)
     return this.request('GET', `/books${queryString ? `?${queryString}` : ''}`)
   }
 
+  async getBookFacets(params = {}) {
+    const queryString = toBookQueryString(params)
+    return this.request('GET', `/books/facets${queryString ? `?${queryString}` : ''}`)
+  }
+
   async getBook(id) {
     return this.request('GET', `/books/${id}`)
   }
@@ -93,6 +109,18 @@ class ApiService {
     return this.request('PUT', `/books/${id}`, data)
   }
 
+  async updateBookLocks(id, lockedFields) {
+    return this.request('PUT', `/books/${id}/locks`, { locked_fields: lockedFields })
+  }
+
+  async getBookHistory(id) {
+    return this.request('GET', `/books/${id}/history`)
+  }
+
+  async revertBookHistory(id, historyId, field) {
+    return this.request('POST', `/books/${id}/history/${historyId}/revert`, field ? { field } : {})
+  }
+
   async getBookChapters(id) {
     return this.request('GET', `/books/${id}/chapters`)
   }
@@ -101,6 +129,15 @@ class ApiService {
     return `${API_BASE}/books/${bookId}/stream/${chapterIndex}`
   }
 
+  // Streaming
+  async getStreamingOptions() {
+    return this.request('GET', '/streaming/options')
+  }
+
+  getTranscodedStreamUrl(bookId, chapterIndex, bitrate) {
+    return `${API_BASE}/streaming/books/${bookId}/${chapterIndex}/${bitrate}/index.m3u8`
+  }
+
   // Progress
   async getAllProgress() {
     return this.request('GET', '/progress')
@@ -118,6 +155,40 @@ class ApiService {
     return this.request('PUT', `/progress/${bookId}`, data)
   }
 
+  // Bookmarks
+  async getBookmarks(bookId) {
+    return this.request('GET', `/bookmarks?book_id=${bookId}`)
+  }
+
+  async createBookmark(data) {
+    return this.request('POST', '/bookmarks', data)
+  }
+
+  async updateBookmark(id, data) {
+    return this.request('PUT', `/bookmarks/${id}`, data)
+  }
+
+  async deleteBookmark(id) {
+    return this.request('DELETE', `/bookmarks/${id}`)
+  }
+
+  // Smart shelves
+  async getShelves() {
+    return this.request('GET', '/shelves')
+  }
+
+  async createShelf(data) {
+    return this.request('POST', '/shelves', data)
+  }
+
+  async updateShelf(id, data) {
+    return this.request('PUT', `/shelves/${id}`, data)
+  }
+
+  async deleteShelf(id) {
+    return this.request('DELETE', `/shelves/${id}`)
+  }
+
   // Series
   async getSeries() {
     return this.request('GET', '/series')
@@ -141,7 +212,37 @@ class ApiService {
 
   // Stats
   async getStats() {
-    return this.request('GET', '/stats')
+    // Aggregate by the browser's local day rather than the server's
+    return this.request('GET', `/stats?tz_offset=${new Date().getTimezoneOffset()}`)
+  }
+
+  async getStatsHeatmap() {
+    return this.request('GET', `/stats/heatmap?tz_offset=${new Date().getTimezoneOffset()}`)
+  }
+
+  async getStatsTrends(months = 12) {
+    return this.request('GET', `/stats/trends?months=${months}&tz_offset=${new Date().getTimezoneOffset()}`)
+  }
+
+  async getStatsTop(limit = 5) {
+    return this.request('GET', `/stats/top?limit=${limit}`)
+  }
+
+  async getStatsHabits() {
+    return this.request('GET', '/stats/habits')
+  }
+
+  async getListeningSessions(params = {}) {
+    const queryString = new URLSearchParams(params).toString()
+    return this.request('GET', `/stats/sessions${queryString ? `?${queryString}` : ''}`)
+  }
+
+  async createListeningSession(data) {
+    return this.request('POST', '/stats/sessions', data)
+  }
+
+  async updateListeningSession(id, data) {
+    return this.request('PUT', `/stats/sessions/${id}`, data)
   }
 
   // Admin
@@ -165,8 +266,8 @@ class ApiService {
     return this.request('DELETE', `/admin/users/${id}`)
   }
 
-  async triggerLibraryScan() {
-    return this.request('POST', '/admin/library/scan')
+  async triggerLibraryScan(mode = 'quick') {
+    return this.request('POST', '/admin/library/scan', { mode })
   }
 
   async getLibraryStatus() {
@@ -185,6 +286,10 @@ class ApiService {
     return this.request('DELETE', `/admin/books/${id}`)
   }
 
+  async refreshBook(id) {
+    return this.request('POST', `/admin/books/${id}/refresh`)
+  }
+
   async enrichBookMetadata(id) {
     return this.request('POST', `/admin/books/${id}/enrich`)
   }
@@ -201,6 +306,38 @@ class ApiService {
     return this.request('POST', '/admin/books/batch-enrich', { force })
   }
 
+  async getCoverCandidates(id, online = false) {
+    return this.request('GET', `/admin/books/${id}/cover-candidates${online ? '?online=true' : ''}`)
+  }
+
+  async selectBookCover(id, candidateId) {
+    return this.request('PUT', `/admin/books/${id}/cover`, { candidate_id: candidateId })
+  }
+
+  async importBookCover(id, url) {
+    return this.request('PUT', `/admin/books/${id}/cover`, { url })
+  }
+
+  async uploadBookCover(id, file) {
+    // Sent as the raw image rather than JSON
+    return this.request('PUT', `/admin/books/${id}/cover`, null, {
+      headers: { ...this.getHeaders(), 'Content-Type': file.type },
+      body: file
+    })
+  }
+
+  async writeBookTags(id, { dryRun = true, backup = false } = {}) {
+    return this.request('POST', `/admin/books/${id}/write-tags`, { dry_run: dryRun, backup })
+  }
+
+  async batchWriteTags({ bookIds = null, dryRun = true, backup = false } = {}) {
+    return this.request('POST', '/admin/books/batch-write-tags', { book_ids: bookIds, dry_run: dryRun, backup })
+  }
+
+  async getBatchWriteTagsStatus() {
+    return this.request('GET', '/admin/books/batch-write-tags/status')
+  }
+
   async getCacheStats() {
     return this.request('GET', '/admin/metadata/cache-stats')
   }
@@ -213,6 +350,14 @@ class ApiService {
     return this.request('GET', '/admin/transcription/status')
   }
 
+  async getTranscodingStatus() {
+    return this.request('GET', '/admin/transcoding/status')
+  }
+
+  async clearTranscodeCache() {
+    return this.request('DELETE', '/admin/transcoding/cache')
+  }
+
   // Transcription
   async startTranscription(bookId) {
     return this.request('POST', `/transcription/books/${bookId}/start`)
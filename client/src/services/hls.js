@@ -0,0 +1,97 @@
+// Transcoded streams are HLS playlists of AAC segments. Safari plays them natively; other
+// browsers get them through Media Source Extensions with hls.js, which is only loaded then
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl'
+const AAC_MSE_TYPE = 'audio/mp4; codecs="mp4a.40.2"'
+
+let Hls = null
+let hlsRequest = null
+
+// hls.js instance playing into each audio element
+const players = new WeakMap()
+
+/**
+ * Check whether this browser can play HLS, natively or through hls.js
+ * @returns {boolean}
+ */
+export function supportsHls() {
+  return supportsNativeHls() || Boolean(window.MediaSource?.isTypeSupported?.(AAC_MSE_TYPE))
+}
+
+/**
+ * Load hls.js if this browser will need it, so setAudioSource() can attach streams right away
+ * @returns {Promise}
+ */
+export function prepareHls() {
+  if (supportsNativeHls()) return Promise.resolve()
+
+  if (!hlsRequest) {
+    hlsRequest = import('hls.js')
+      .then((module) => {
+        Hls = module.default
+      })
+      .catch((error) => {
+        hlsRequest = null
+        throw error
+      })
+  }
+  return hlsRequest
+}
+
+/**
+ * Point an audio element at a source, playing HLS playlists through hls.js where needed
+ * @param {HTMLAudioElement} element
+ * @param {string|null} src - Audio or playlist URL; empty to unload the element
+ */
+export function setAudioSource(element, src) {
+  detachHls(element)
+
+  if (!src) {
+    element.removeAttribute('src')
+    return
+  }
+
+  if (Hls && isHlsUrl(src) && !supportsNativeHls()) {
+    const hls = new Hls()
+    let recoveredMediaError = false
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return
+
+      // Decoding hiccups can usually be recovered from once
+      if (data.type === Hls.ErrorTypes.MEDIA_ERROR && !recoveredMediaError) {
+        recoveredMediaError = true
+        hls.recoverMediaError()
+        return
+      }
+
+      console.error('HLS error:', data)
+      detachHls(element)
+      // Let the player handle it like any other failed source
+      element.dispatchEvent(new Event('error'))
+    })
+
+    hls.loadSource(src)
+    hls.attachMedia(element)
+    players.set(element, hls)
+    return
+  }
+
+  element.src = src
+}
+
+function detachHls(element) {
+  const hls = players.get(element)
+  if (hls) {
+    players.delete(element)
+    hls.destroy()
+  }
+}
+
+function isHlsUrl(src) {
+  return new URL(src, window.location.href).pathname.endsWith('.m3u8')
+}
+
+function supportsNativeHls() {
+  return document.createElement('audio').canPlayType(HLS_MIME_TYPE) !== ''
+}
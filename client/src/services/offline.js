@@ -0,0 +1,275 @@
+import api from './api'
+
+// Must match DOWNLOADS_CACHE in src/sw.js, which serves these entries when offline
+const DOWNLOADS_CACHE = 'audioshelf-downloads'
+const RECORD_PREFIX = '/offline/books/'
+const PROGRESS_QUEUE_KEY = 'offline-progress-queue'
+
+// ==================== DOWNLOADS ====================
+
+/**
+ * Download a book's chapter list, audio and cover into Cache Storage
+ * @param {Object} book - Book from the API
+ * @param {Object} options - { signal, onProgress(done, total) }
+ * @returns {Object} - Download record
+ */
+export async function downloadBook(book, { signal, onProgress } = {}) {
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const token = localStorage.getItem('token')
+
+  // Ask the browser not to evict downloads under storage pressure
+  if (navigator.storage?.persist) {
+    navigator.storage.persist().catch(() => {})
+  }
+
+  const bookResponse = await fetchOk(`/api/books/${book.id}`, { headers: api.getHeaders(), signal })
+  const chaptersResponse = await fetchOk(`/api/books/${book.id}/chapters`, { headers: api.getHeaders(), signal })
+  const chapters = await chaptersResponse.clone().json()
+
+  // Chapters from embedded markers share one file, so fetch each source once
+  const sourceIndexes = [...new Set(chapters.map((ch, index) => ch.source_index ?? index))]
+  let size = 0
+
+  onProgress?.(0, sourceIndexes.length)
+
+  for (let i = 0; i < sourceIndexes.length; i++) {
+    // Streamed straight into the cache, keyed without the token, so the audio is never
+    // held in memory; the service worker answers the plain stream URL from it
+    const streamPath = getStreamPath(book.id, sourceIndexes[i])
+    const response = await fetchOk(`${streamPath}?token=${token}`, { signal })
+    size += Number(response.headers.get('Content-Length')) || 0
+
+    await cache.put(streamPath, response)
+    onProgress?.(i + 1, sourceIndexes.length)
+  }
+
+  const coverUrls = getCoverUrls(book)
+  for (const coverUrl of coverUrls) {
+    try {
+      const coverResponse = await fetchOk(coverUrl, { signal })
+      await cache.put(coverUrl, coverResponse)
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      console.error('Failed to download cover:', error)
+    }
+  }
+
+  await cache.put(`/api/books/${book.id}`, bookResponse)
+  await cache.put(`/api/books/${book.id}/chapters`, chaptersResponse)
+
+  const record = {
+    book_id: book.id,
+    title: book.title,
+    author: book.author,
+    cover_url: book.cover_url,
+    cover_urls: coverUrls,
+    duration_seconds: book.duration_seconds,
+    chapter_count: chapters.length,
+    source_indexes: sourceIndexes,
+    size,
+    downloaded_at: new Date().toISOString()
+  }
+
+  // Written last, so a book only counts as downloaded once everything is stored
+  await cache.put(`${RECORD_PREFIX}${book.id}`, new Response(JSON.stringify(record), {
+    headers: { 'Content-Type': 'application/json' }
+  }))
+
+  return record
+}
+
+/**
+ * Remove everything stored for a downloaded book
+ * @param {number} bookId - Book ID
+ */
+export async function removeDownload(bookId) {
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const record = await getDownload(bookId)
+
+  await cache.delete(`${RECORD_PREFIX}${bookId}`)
+  await cache.delete(`/api/books/${bookId}`)
+  await cache.delete(`/api/books/${bookId}/chapters`)
+
+  // Also clears streams left over from a cancelled download
+  const streamPrefix = `/api/books/${bookId}/stream/`
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.startsWith(streamPrefix)) {
+      await cache.delete(request)
+    }
+  }
+
+  // Covers can be shared by books, so only drop ones no other download uses
+  if (record) {
+    const others = await getDownloads()
+    for (const coverUrl of record.cover_urls) {
+      if (!others.some(other => other.cover_urls.includes(coverUrl))) {
+        await cache.delete(coverUrl)
+      }
+    }
+  }
+}
+
+/**
+ * List downloaded books
+ * @returns {Array} - Download records, newest first
+ */
+export async function getDownloads() {
+  if (!('caches' in window)) return []
+
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const records = []
+
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.startsWith(RECORD_PREFIX)) {
+      const response = await cache.match(request)
+      records.push(await response.json())
+    }
+  }
+
+  return records.sort((a, b) => b.downloaded_at.localeCompare(a.downloaded_at))
+}
+
+/**
+ * Get the download record for a book
+ * @param {number} bookId - Book ID
+ * @returns {Object|null}
+ */
+export async function getDownload(bookId) {
+  if (!('caches' in window)) return null
+
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const response = await cache.match(`${RECORD_PREFIX}${bookId}`)
+  return response ? response.json() : null
+}
+
+/**
+ * Get the stored chapter list of a downloaded book
+ * @param {number} bookId - Book ID
+ * @returns {Array|null}
+ */
+export async function getOfflineChapters(bookId) {
+  if (!(await getDownload(bookId))) return null
+
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const response = await cache.match(`/api/books/${bookId}/chapters`, { ignoreVary: true })
+  return response ? response.json() : null
+}
+
+/**
+ * Get the URL to play downloaded audio from. It's the stream URL without a token, which
+ * only the service worker can answer, so there's none unless it controls the page
+ * @param {number} bookId - Book ID
+ * @param {number} sourceIndex - Chapter index the stream is requested by
+ * @returns {string|null}
+ */
+export async function getOfflineAudioUrl(bookId, sourceIndex) {
+  if (!('caches' in window) || !navigator.serviceWorker?.controller) return null
+
+  const streamPath = getStreamPath(bookId, sourceIndex)
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  return await cache.match(streamPath, { ignoreVary: true }) ? streamPath : null
+}
+
+/**
+ * Get storage used and available to this site
+ * @returns {Object} - { usage, quota } in bytes, or nulls if unknown
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) {
+    return { usage: null, quota: null }
+  }
+  const { usage, quota } = await navigator.storage.estimate()
+  return { usage, quota }
+}
+
+// The full-size cover and the 300px thumbnails, which lists and the player load
+function getCoverUrls(book) {
+  if (!book.cover_url) return []
+  const thumbnails = book.cover_thumbnails?.[300] || {}
+  return [book.cover_url, thumbnails.webp, thumbnails.jpg].filter(Boolean)
+}
+
+function getStreamPath(bookId, sourceIndex) {
+  return `/api/books/${bookId}/stream/${sourceIndex}`
+}
+
+async function fetchOk(url, options) {
+  const response = await fetch(url, options)
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${response.statusText}`)
+  }
+  return response
+}
+
+// ==================== PROGRESS QUEUE ====================
+
+/**
+ * Check whether an error means the server couldn't be reached
+ * @param {Error} error - Error thrown by fetch or the API service
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return !navigator.onLine || error instanceof TypeError
+}
+
+/**
+ * Keep a progress update to send once back online; only the latest per book is kept
+ * @param {number} bookId - Book ID
+ * @param {Object} data - Body for api.updateProgress
+ */
+export function queueProgress(bookId, data) {
+  const queue = readProgressQueue()
+  queue[bookId] = { ...data, queued_at: new Date().toISOString() }
+  localStorage.setItem(PROGRESS_QUEUE_KEY, JSON.stringify(queue))
+}
+
+/**
+ * Get a queued progress update for a book
+ * @param {number} bookId - Book ID
+ * @returns {Object|null}
+ */
+export function getQueuedProgress(bookId) {
+  return readProgressQueue()[bookId] || null
+}
+
+/**
+ * Send queued progress updates, keeping any that still can't be delivered
+ */
+export async function flushProgressQueue() {
+  const queue = readProgressQueue()
+  const done = []
+
+  for (const [bookId, { queued_at, ...data }] of Object.entries(queue)) {
+    try {
+      await api.updateProgress(bookId, data)
+      done.push([bookId, queued_at])
+    } catch (error) {
+      if (isNetworkError(error)) break
+      // The server rejected it (e.g. book removed), so don't retry forever
+      console.error(`Dropping queued progress for book ${bookId}:`, error)
+      done.push([bookId, queued_at])
+    }
+  }
+
+  // Re-read, as newer updates may have been queued while sending
+  const remaining = readProgressQueue()
+  for (const [bookId, queuedAt] of done) {
+    if (remaining[bookId]?.queued_at === queuedAt) {
+      delete remaining[bookId]
+    }
+  }
+
+  if (Object.keys(remaining).length > 0) {
+    localStorage.setItem(PROGRESS_QUEUE_KEY, JSON.stringify(remaining))
+  } else {
+    localStorage.removeItem(PROGRESS_QUEUE_KEY)
+  }
+}
+
+function readProgressQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_QUEUE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
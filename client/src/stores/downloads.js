@@ -0,0 +1,100 @@
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import * as offline from '../services/offline'
+
+export const useDownloadsStore = defineStore('downloads', () => {
+  // State
+  const downloads = ref([])
+  // Book ID -> { done, total } for downloads in progress
+  const activeDownloads = ref({})
+  const storageEstimate = ref({ usage: null, quota: null })
+  const loaded = ref(false)
+
+  const abortControllers = new Map()
+
+  // Computed
+  const downloadedIds = computed(() => new Set(downloads.value.map(d => d.book_id)))
+
+  const totalSize = computed(() => {
+    return downloads.value.reduce((sum, d) => sum + (d.size || 0), 0)
+  })
+
+  // Methods
+  async function loadDownloads() {
+    try {
+      downloads.value = await offline.getDownloads()
+      storageEstimate.value = await offline.getStorageEstimate()
+    } catch (error) {
+      console.error('Failed to load downloads:', error)
+    } finally {
+      loaded.value = true
+    }
+  }
+
+  function isDownloaded(bookId) {
+    return downloadedIds.value.has(bookId)
+  }
+
+  function isDownloading(bookId) {
+    return Boolean(activeDownloads.value[bookId])
+  }
+
+  async function downloadBook(book) {
+    if (isDownloading(book.id)) return
+
+    const controller = new AbortController()
+    abortControllers.set(book.id, controller)
+    activeDownloads.value = { ...activeDownloads.value, [book.id]: { done: 0, total: 0 } }
+
+    try {
+      const record = await offline.downloadBook(book, {
+        signal: controller.signal,
+        onProgress: (done, total) => {
+          activeDownloads.value = { ...activeDownloads.value, [book.id]: { done, total } }
+        }
+      })
+      downloads.value = [record, ...downloads.value.filter(d => d.book_id !== book.id)]
+      return record
+    } catch (error) {
+      // Don't leave half a book behind
+      await offline.removeDownload(book.id).catch(() => {})
+      if (error.name === 'AbortError') return null
+      throw error
+    } finally {
+      abortControllers.delete(book.id)
+      const { [book.id]: _finished, ...rest } = activeDownloads.value
+      activeDownloads.value = rest
+      storageEstimate.value = await offline.getStorageEstimate()
+    }
+  }
+
+  function cancelDownload(bookId) {
+    abortControllers.get(bookId)?.abort()
+  }
+
+  async function removeDownload(bookId) {
+    await offline.removeDownload(bookId)
+    downloads.value = downloads.value.filter(d => d.book_id !== bookId)
+    storageEstimate.value = await offline.getStorageEstimate()
+  }
+
+  return {
+    // State
+    downloads,
+    activeDownloads,
+    storageEstimate,
+    loaded,
+
+    // Computed
+    downloadedIds,
+    totalSize,
+
+    // Methods
+    loadDownloads,
+    isDownloaded,
+    isDownloading,
+    downloadBook,
+    cancelDownload,
+    removeDownload
+  }
+})
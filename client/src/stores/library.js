@@ -12,12 +12,15 @@ export const useLibraryStore = defineStore('library', () => {
   // Filters
   const searchQuery = ref('')
   const filterStatus = ref('')
-  const filterAuthor = ref('')
-  const filterSeries = ref('')
+  // Facet name -> selected values, e.g. { authors: ['Brandon Sanderson'], decades: [2010] }
+  const facetFilters = ref({})
   const sortBy = ref('title')
   const sortOrder = ref('asc')
   const viewMode = ref(localStorage.getItem('library-view') || 'grid')
 
+  // Values of each facet with book counts, for the current filters
+  const facets = ref(null)
+
   // Pagination
   const page = ref(1)
   const limit = ref(50)
@@ -26,32 +29,36 @@ export const useLibraryStore = defineStore('library', () => {
   const offset = computed(() => (page.value - 1) * limit.value)
   const totalPages = computed(() => Math.ceil(total.value / limit.value))
 
-  const authors = computed(() => {
-    const authorSet = new Set()
-    books.value.forEach(book => {
-      if (book.author) authorSet.add(book.author)
-    })
-    return Array.from(authorSet).sort()
+  const activeFacetCount = computed(() => {
+    return Object.values(facetFilters.value).reduce((sum, values) => sum + values.length, 0)
   })
 
   // Methods
-  async function fetchBooks() {
+  function getFilterParams() {
+    const params = {}
+    if (searchQuery.value) params.search = searchQuery.value
+    if (filterStatus.value) params.status = filterStatus.value
+    for (const [name, values] of Object.entries(facetFilters.value)) {
+      if (values.length > 0) params[name] = values
+    }
+    return params
+  }
+
+  // Facets only change with the filters, not with sorting or paging
+  async function fetchBooks({ refreshFacets = true } = {}) {
     loading.value = true
     error.value = null
+    if (refreshFacets) fetchFacets()
 
     try {
       const params = {
         limit: limit.value,
         offset: offset.value,
         sort: sortBy.value,
-        order: sortOrder.value
+        order: sortOrder.value,
+        ...getFilterParams()
       }
 
-      if (searchQuery.value) params.search = searchQuery.value
-      if (filterStatus.value) params.status = filterStatus.value
-      if (filterAuthor.value) params.author = filterAuthor.value
-      if (filterSeries.value) params.series = filterSeries.value
-
       const response = await api.getBooks(params)
       books.value = response.books
       total.value = response.total
@@ -63,6 +70,15 @@ export const useLibraryStore = defineStore('library', () => {
     }
   }
 
+  async function fetchFacets() {
+    try {
+      facets.value = await api.getBookFacets(getFilterParams())
+    } catch (err) {
+      // fetchBooks() reports the error, as the same filters will fail there
+      console.error('Failed to fetch facets:', err)
+    }
+  }
+
   function setViewMode(mode) {
     viewMode.value = mode
     localStorage.setItem('library-view', mode)
@@ -72,10 +88,13 @@ export const useLibraryStore = defineStore('library', () => {
     sortBy.value = field
     sortOrder.value = order
     page.value = 1
-    fetchBooks()
+    fetchBooks({ refreshFacets: false })
   }
 
   function setSearch(query) {
+    // Searches are ranked by relevance until another sort is picked
+    if (query && !searchQuery.value) sortBy.value = 'relevance'
+    if (!query && sortBy.value === 'relevance') sortBy.value = 'title'
     searchQuery.value = query
     page.value = 1
     fetchBooks()
@@ -83,24 +102,28 @@ export const useLibraryStore = defineStore('library', () => {
 
   function setFilter(type, value) {
     if (type === 'status') filterStatus.value = value
-    if (type === 'author') filterAuthor.value = value
-    if (type === 'series') filterSeries.value = value
+    page.value = 1
+    fetchBooks()
+  }
+
+  function setFacetFilter(name, values) {
+    facetFilters.value = { ...facetFilters.value, [name]: values }
     page.value = 1
     fetchBooks()
   }
 
   function clearFilters() {
     searchQuery.value = ''
+    if (sortBy.value === 'relevance') sortBy.value = 'title'
     filterStatus.value = ''
-    filterAuthor.value = ''
-    filterSeries.value = ''
+    facetFilters.value = {}
     page.value = 1
     fetchBooks()
   }
 
   function setPage(newPage) {
     page.value = newPage
-    fetchBooks()
+    fetchBooks({ refreshFacets: false })
   }
 
   return {
@@ -111,8 +134,8 @@ export const useLibraryStore = defineStore('library', () => {
     error,
     searchQuery,
     filterStatus,
-    filterAuthor,
-    filterSeries,
+    facetFilters,
+    facets,
     sortBy,
     sortOrder,
     viewMode,
@@ -122,7 +145,7 @@ export const useLibraryStore = defineStore('library', () => {
     // Computed
     offset,
     totalPages,
-    authors,
+    activeFacetCount,
 
     // Methods
     fetchBooks,
@@ -130,6 +153,7 @@ export const useLibraryStore = defineStore('library', () => {
     setSort,
     setSearch,
     setFilter,
+    setFacetFilter,
     clearFilters,
     setPage
   }
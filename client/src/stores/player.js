@@ -1,6 +1,45 @@
 import { defineStore } from 'pinia'
 import { ref, computed, watch } from 'vue'
 import api from '../services/api'
+import {
+  getOfflineAudioUrl,
+  getOfflineChapters,
+  getQueuedProgress,
+  queueProgress,
+  flushProgressQueue,
+  isNetworkError
+} from '../services/offline'
+import { supportsHls, prepareHls, setAudioSource } from '../services/hls'
+
+// Speeds offered in the players' speed menus
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3]
+const MIN_PLAYBACK_RATE = 0.5
+const MAX_PLAYBACK_RATE = 3
+
+// Sleep timer presets in minutes
+export const SLEEP_TIMER_PRESETS = [5, 10, 15, 30, 45, 60, 90, 120]
+export const SLEEP_TIMER_EXTEND_MINUTES = 10
+// Volume fades out over the last seconds before the timer pauses playback
+const SLEEP_FADE_SECONDS = 15
+const SLEEP_TICK_MS = 250
+// Summed change in acceleration (m/s²) between readings that counts as a shake
+const SHAKE_THRESHOLD = 25
+const SHAKE_COOLDOWN_MS = 2000
+
+// Skip distance for lock screen and headset seek buttons that don't send one
+const MEDIA_SESSION_SKIP_SECONDS = 30
+
+// Play periods shorter than this aren't worth a listening session
+const MIN_SESSION_MS = 5000
+
+// Start buffering the next file this long (in listening time) before the current one ends
+const PRELOAD_AHEAD_SECONDS = 60
+// Switch to the next file slightly early, as starting playback takes a moment
+const CROSSOVER_WINDOW_SECONDS = 1
+const CROSSOVER_LEAD_MS = 100
+
+// Stream quality that plays files as they are, rather than transcoded
+export const ORIGINAL_QUALITY = 'original'
 
 export const usePlayerStore = defineStore('player', () => {
   // State
@@ -11,10 +50,29 @@ export const usePlayerStore = defineStore('player', () => {
   const currentTime = ref(0)
   const duration = ref(0)
   const volume = ref(1)
+  const playbackRate = ref(1)
   const isLoading = ref(false)
+  // ORIGINAL_QUALITY or a transcode bitrate in kbps
+  const streamQuality = ref(ORIGINAL_QUALITY)
+  const streamingOptions = ref({ transcoding_enabled: false, bitrates: [] })
 
-  // Audio element
+  // Sleep timer: 'duration' counts down listening time, 'chapter' stops at the chapter end
+  const sleepTimerMode = ref(null)
+  const sleepTimerRemaining = ref(0)
+
+  // Audio elements: the one playing, and a standby that buffers the next file
   let audio = null
+  let standbyAudio = null
+  // Chapter whose stream is loaded; virtual chapters of one file share it
+  let loadedSourceIndex = null
+  // Next file loading in standbyAudio: { sourceIndex, isDownload, ready }
+  let preload = null
+  let crossoverTimeout = null
+  // Whether the loaded file plays from a download rather than the server
+  let playingDownload = false
+  // Lets a newer loadChapter win if an earlier one is still looking up downloads
+  let chapterLoadId = 0
+  let streamingOptionsRequest = null
 
   // Computed
   const currentChapter = computed(() => chapters.value[currentChapterIndex.value] || null)
@@ -41,68 +99,204 @@ export const usePlayerStore = defineStore('player', () => {
   const formattedGlobalPosition = computed(() => formatTime(globalPosition.value))
   const formattedTotalDuration = computed(() => formatTime(totalDuration.value))
 
+  // Remaining listening time at the current speed
+  const timeRemaining = computed(() => {
+    return Math.max(0, totalDuration.value - globalPosition.value) / playbackRate.value
+  })
+  const chapterTimeRemaining = computed(() => {
+    return Math.max(0, duration.value - currentTime.value) / playbackRate.value
+  })
+  const formattedTimeRemaining = computed(() => formatTime(timeRemaining.value))
+  const formattedChapterTimeRemaining = computed(() => formatTime(chapterTimeRemaining.value))
+  const formattedPlaybackRate = computed(() => formatPlaybackRate(playbackRate.value))
+
+  // Transcoded streams are HLS, played natively or through Media Source Extensions
+  const canTranscode = computed(() => streamingOptions.value.transcoding_enabled && supportsHls())
+
+  const sleepTimerActive = computed(() => sleepTimerMode.value !== null)
+  const sleepTimerFading = computed(() => {
+    return sleepTimerActive.value && isPlaying.value && sleepTimerRemaining.value <= SLEEP_FADE_SECONDS
+  })
+  const formattedSleepTimerRemaining = computed(() => formatTime(Math.ceil(sleepTimerRemaining.value)))
+
   // Progress save interval
   let saveProgressInterval = null
 
+  // Sleep timer tick interval and shake detection state
+  let sleepTimerInterval = null
+  let lastSleepTick = 0
+  let lastMotion = null
+  let lastShakeAt = 0
+
+  // Listening session for the current play period; reported while playing so a closed tab loses little
+  let session = null
+
   // Methods
   function initAudio() {
     if (audio) return
 
-    audio = new Audio()
-    audio.volume = volume.value
+    audio = createAudioElement()
+    standbyAudio = createAudioElement()
+    applyPlaybackRate()
 
-    audio.addEventListener('timeupdate', () => {
-      currentTime.value = audio.currentTime
+    registerMediaSessionHandlers()
+  }
+
+  // Both elements keep their listeners; only events from the active one reach the store
+  function createAudioElement() {
+    const element = new Audio()
+    element.preload = 'auto'
+    element.volume = volume.value
+
+    const on = (event, handler) => {
+      element.addEventListener(event, (e) => {
+        if (element === audio) handler(e)
+      })
+    }
+
+    on('timeupdate', () => {
+      syncChapterFromAudio()
+      currentTime.value = audio.currentTime - chapterFileStart(currentChapter.value)
+      prepareNextSource()
     })
 
-    audio.addEventListener('durationchange', () => {
-      duration.value = audio.duration || 0
+    on('durationchange', () => {
+      duration.value = isVirtualChapter(currentChapter.value)
+        ? currentChapter.value.duration_seconds || 0
+        : audio.duration || 0
     })
 
-    audio.addEventListener('ended', () => {
+    on('ended', () => {
       handleChapterEnd()
     })
 
-    audio.addEventListener('loadeddata', () => {
+    on('loadeddata', () => {
       isLoading.value = false
     })
 
-    audio.addEventListener('waiting', () => {
+    on('waiting', () => {
       isLoading.value = true
     })
 
-    audio.addEventListener('canplay', () => {
+    on('canplay', () => {
       isLoading.value = false
     })
 
-    audio.addEventListener('error', (e) => {
-      console.error('Audio error:', e)
-      isLoading.value = false
+    element.addEventListener('error', (e) => {
+      if (element === audio) {
+        console.error('Audio error:', e)
+        isLoading.value = false
+      } else if (preload?.ready) {
+        // Kept, but not ready, so it isn't retried; the next chapter loads the usual way
+        console.error('Failed to preload next chapter:', e)
+        preload.ready = false
+        releaseAudioElement(standbyAudio)
+      }
     })
+
+    // Keep the OS scrubber in step whenever the position jumps or the rate changes
+    for (const event of ['loadedmetadata', 'seeked', 'play', 'pause', 'ratechange']) {
+      on(event, updatePositionState)
+    }
+
+    return element
+  }
+
+  function registerMediaSessionHandlers() {
+    if (!('mediaSession' in navigator)) return
+
+    const handlers = {
+      play: () => play(),
+      pause: () => pause(),
+      seekbackward: (details) => seekRelative(-(details.seekOffset || MEDIA_SESSION_SKIP_SECONDS)),
+      seekforward: (details) => seekRelative(details.seekOffset || MEDIA_SESSION_SKIP_SECONDS),
+      previoustrack: () => previousChapter(),
+      nexttrack: () => nextChapter(),
+      // The scrubber shows the whole book, so seek times are book-relative
+      seekto: (details) => seekToGlobalPosition(details.seekTime)
+    }
+
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler)
+      } catch {
+        // Action not supported by this browser
+      }
+    }
+  }
+
+  function updateMediaMetadata() {
+    if (!('mediaSession' in navigator)) return
+
+    const book = currentBook.value
+    if (!book) {
+      navigator.mediaSession.metadata = null
+      navigator.mediaSession.playbackState = 'none'
+      return
+    }
+
+    const chapter = currentChapter.value
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: book.title,
+      artist: book.author || '',
+      album: chapter?.title || `Chapter ${currentChapterIndex.value + 1}`,
+      artwork: book.cover_url
+        ? [{ src: new URL(book.cover_url, window.location.origin).href }]
+        : []
+    })
+  }
+
+  function updatePositionState() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return
+
+    const bookDuration = totalDuration.value
+    if (!currentBook.value || !(bookDuration > 0)) return
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: bookDuration,
+        playbackRate: playbackRate.value,
+        position: Math.max(0, Math.min(globalPosition.value, bookDuration))
+      })
+    } catch (error) {
+      console.error('Failed to update media position state:', error)
+    }
   }
 
   async function loadBook(book) {
     initAudio()
+    loadStreamingOptions()
+    endSession()
+    discardPreload()
+    loadedSourceIndex = null
     currentBook.value = book
     currentChapterIndex.value = 0
     currentTime.value = 0
 
-    // Load chapters
-    chapters.value = await api.getBookChapters(book.id)
+    // Load chapters, falling back to the downloaded copy when offline
+    try {
+      chapters.value = await api.getBookChapters(book.id)
+    } catch (error) {
+      const offlineChapters = await getOfflineChapters(book.id)
+      if (!offlineChapters) throw error
+      chapters.value = offlineChapters
+    }
+
+    // Load saved progress; an update still queued from offline listening is newer
+    const progress = getQueuedProgress(book.id) || await api.getBookProgress(book.id).catch((error) => {
+      console.error('Failed to load progress:', error)
+      return null
+    })
+
+    // Use the speed last chosen for this book, or the last speed used anywhere
+    playbackRate.value = progress?.playback_rate || getDefaultPlaybackRate()
+    applyPlaybackRate()
 
-    // Load saved progress
-    const progress = await api.getBookProgress(book.id)
     if (progress && progress.position_seconds > 0) {
-      // Find the correct chapter based on global position
-      let accumulatedTime = 0
-      for (let i = 0; i < chapters.value.length; i++) {
-        const chapterDuration = chapters.value[i].duration_seconds || 0
-        if (accumulatedTime + chapterDuration > progress.position_seconds) {
-          currentChapterIndex.value = i
-          currentTime.value = progress.position_seconds - accumulatedTime
-          break
-        }
-        accumulatedTime += chapterDuration
+      const location = locateGlobalPosition(progress.position_seconds)
+      if (location) {
+        currentChapterIndex.value = location.chapterIndex
+        currentTime.value = location.chapterTime
       }
     }
 
@@ -113,29 +307,289 @@ export const usePlayerStore = defineStore('player', () => {
   async function loadChapter(index) {
     if (!currentBook.value || index < 0 || index >= chapters.value.length) return
 
-    isLoading.value = true
     currentChapterIndex.value = index
+    const chapter = chapters.value[index]
+    const sourceIndex = chapter.source_index ?? index
 
-    const streamUrl = api.getStreamUrl(currentBook.value.id, index)
-    const token = localStorage.getItem('token')
+    // Chapters from embedded markers share a stream, so only seek within it
+    if (sourceIndex !== loadedSourceIndex && preload?.ready && preload.sourceIndex === sourceIndex) {
+      swapToStandby()
+    } else if (sourceIndex !== loadedSourceIndex) {
+      discardPreload()
+      isLoading.value = true
+      const loadId = ++chapterLoadId
 
-    // Add auth token to audio source
-    audio.src = `${streamUrl}?token=${token}`
+      // Play downloaded audio when available
+      const localUrl = await getOfflineAudioUrl(currentBook.value.id, sourceIndex)
+      const src = localUrl || await getStreamSource(currentBook.value.id, sourceIndex)
+      if (loadId !== chapterLoadId) return
+
+      playingDownload = Boolean(localUrl)
+
+      setAudioSource(audio, src)
+      loadedSourceIndex = sourceIndex
+      applyPlaybackRate()
+    }
+
+    if (isVirtualChapter(chapter)) {
+      duration.value = chapter.duration_seconds || 0
+    }
 
-    if (currentTime.value > 0 && currentChapterIndex.value === index) {
-      audio.currentTime = currentTime.value
+    if (currentTime.value > 0 || isVirtualChapter(chapter)) {
+      const target = chapterFileStart(chapter) + currentTime.value
+      // A preloaded file is already cued up; seeking it again would drop its buffer
+      if (Math.abs(audio.currentTime - target) > 0.05) {
+        audio.currentTime = target
+      }
     } else {
       currentTime.value = 0
     }
   }
 
+  // Index of the first chapter after the current one that plays from another file
+  function findNextSourceChapter() {
+    for (let i = currentChapterIndex.value + 1; i < chapters.value.length; i++) {
+      if ((chapters.value[i].source_index ?? i) !== loadedSourceIndex) return i
+    }
+    return -1
+  }
+
+  // Called as the active file plays: buffer the next file, then cross over just before the end
+  function prepareNextSource() {
+    if (!isPlaying.value || !audio.duration) return
+
+    const remaining = (audio.duration - audio.currentTime) / (audio.playbackRate || 1)
+
+    if (remaining <= PRELOAD_AHEAD_SECONDS && !preload) {
+      preloadNextSource()
+    }
+
+    // Only cross over early onto a file that can start playing straight away
+    if (
+      remaining <= CROSSOVER_WINDOW_SECONDS &&
+      !crossoverTimeout &&
+      preload?.ready &&
+      standbyAudio.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA
+    ) {
+      const element = audio
+      crossoverTimeout = setTimeout(() => {
+        crossoverTimeout = null
+        if (element !== audio || audio.paused) return
+
+        // Skip if the listener seeked back in the meantime
+        const left = (audio.duration - audio.currentTime) / (audio.playbackRate || 1)
+        if (left * 1000 <= CROSSOVER_LEAD_MS * 2) {
+          handleChapterEnd()
+        }
+      }, Math.max(0, remaining * 1000 - CROSSOVER_LEAD_MS))
+    }
+  }
+
+  async function preloadNextSource() {
+    const nextIndex = findNextSourceChapter()
+    if (nextIndex === -1) return
+
+    const chapter = chapters.value[nextIndex]
+    const pending = { sourceIndex: chapter.source_index ?? nextIndex, isDownload: false, ready: false }
+    preload = pending
+
+    const bookId = currentBook.value.id
+    const localUrl = await getOfflineAudioUrl(bookId, pending.sourceIndex)
+    const src = localUrl || await getStreamSource(bookId, pending.sourceIndex)
+    if (preload !== pending) return
+
+    pending.isDownload = Boolean(localUrl)
+    setAudioSource(standbyAudio, src)
+    standbyAudio.currentTime = chapterFileStart(chapter)
+    pending.ready = true
+  }
+
+  function discardPreload() {
+    if (crossoverTimeout) {
+      clearTimeout(crossoverTimeout)
+      crossoverTimeout = null
+    }
+    if (!preload) return
+
+    preload = null
+    releaseAudioElement(standbyAudio)
+  }
+
+  // Make the preloaded file the active one; the store's position moves with it in one step
+  function swapToStandby() {
+    const outgoing = audio
+    const nearEnd = !outgoing.paused && outgoing.duration - outgoing.currentTime < CROSSOVER_WINDOW_SECONDS
+
+    audio = standbyAudio
+    standbyAudio = outgoing
+
+    if (crossoverTimeout) {
+      clearTimeout(crossoverTimeout)
+      crossoverTimeout = null
+    }
+    playingDownload = preload.isDownload
+    loadedSourceIndex = preload.sourceIndex
+    preload = null
+    chapterLoadId++
+
+    // Carry over a sleep timer fade in progress
+    audio.volume = outgoing.volume
+    applyPlaybackRate()
+    isLoading.value = audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA
+    duration.value = audio.duration || currentChapter.value?.duration_seconds || 0
+
+    if (nearEnd) {
+      // Let the last moments of the old file play out under the new one starting
+      const src = outgoing.src
+      setTimeout(() => {
+        if (outgoing !== audio && outgoing.src === src) {
+          releaseAudioElement(outgoing)
+        }
+      }, CROSSOVER_LEAD_MS * 2)
+    } else {
+      releaseAudioElement(outgoing)
+    }
+  }
+
+  // URL for streaming a file from the server, transcoded if the listener picked a bitrate
+  async function getStreamSource(bookId, sourceIndex) {
+    await loadStreamingOptions()
+
+    const token = localStorage.getItem('token')
+    const bitrate = streamQuality.value
+
+    if (canTranscode.value && streamingOptions.value.bitrates.includes(bitrate)) {
+      try {
+        await prepareHls()
+        return `${api.getTranscodedStreamUrl(bookId, sourceIndex, bitrate)}?token=${token}`
+      } catch (error) {
+        console.error('Failed to load the HLS player, playing the original file:', error)
+      }
+    }
+
+    // Add auth token to audio source
+    return `${api.getStreamUrl(bookId, sourceIndex)}?token=${token}`
+  }
+
+  function loadStreamingOptions() {
+    if (!streamingOptionsRequest) {
+      streamingOptionsRequest = api.getStreamingOptions()
+        .then((options) => {
+          streamingOptions.value = options
+        })
+        .catch((error) => {
+          // Try again on the next book; original streams still work meanwhile
+          console.error('Failed to load streaming options:', error)
+          streamingOptionsRequest = null
+        })
+    }
+    return streamingOptionsRequest
+  }
+
+  async function setStreamQuality(quality) {
+    streamQuality.value = quality
+    localStorage.setItem('player-stream-quality', String(quality))
+
+    if (!currentBook.value || playingDownload) return
+
+    // Reload the current file at the new quality from the same position
+    const wasPlaying = isPlaying.value
+    discardPreload()
+    loadedSourceIndex = null
+    await loadChapter(currentChapterIndex.value)
+    if (wasPlaying) {
+      play()
+    }
+  }
+
+  function releaseAudioElement(element) {
+    element.pause()
+    setAudioSource(element, null)
+    element.load()
+  }
+
+  // Find the chapter containing a book-wide position and the time within it
+  function locateGlobalPosition(position) {
+    let accumulatedTime = 0
+    for (let i = 0; i < chapters.value.length; i++) {
+      const chapterDuration = chapters.value[i].duration_seconds || 0
+      if (accumulatedTime + chapterDuration > position) {
+        return { chapterIndex: i, chapterTime: position - accumulatedTime }
+      }
+      accumulatedTime += chapterDuration
+    }
+    return null
+  }
+
+  async function seekToGlobalPosition(position) {
+    const location = locateGlobalPosition(position)
+    if (!location) return
+
+    currentTime.value = location.chapterTime
+
+    // Seek directly, as the chapter's duration may not be known yet right after loading
+    if (location.chapterIndex === currentChapterIndex.value) {
+      audio.currentTime = chapterFileStart(currentChapter.value) + location.chapterTime
+      return
+    }
+
+    await loadChapter(location.chapterIndex)
+    if (isPlaying.value) {
+      play()
+    }
+  }
+
+  function isVirtualChapter(chapter) {
+    return chapter?.file_end_seconds != null
+  }
+
+  function chapterFileStart(chapter) {
+    return chapter?.file_start_seconds || 0
+  }
+
+  // Playback runs straight across embedded chapter boundaries, so follow the
+  // audio position to whichever chapter of the shared file now contains it
+  function syncChapterFromAudio() {
+    const chapter = currentChapter.value
+    if (!isVirtualChapter(chapter)) return
+
+    const position = audio.currentTime
+    if (position >= chapter.file_start_seconds && position < chapter.file_end_seconds) return
+
+    const index = chapters.value.findIndex(ch =>
+      ch.source_index === chapter.source_index &&
+      position >= ch.file_start_seconds &&
+      position < ch.file_end_seconds
+    )
+
+    if (index !== -1) {
+      currentChapterIndex.value = index
+      duration.value = chapters.value[index].duration_seconds || 0
+
+      if (sleepTimerMode.value === 'chapter') {
+        // Resume exactly at the start of the chapter that just began
+        audio.currentTime = chapters.value[index].file_start_seconds
+        fireSleepTimer()
+      }
+    }
+  }
+
   function handleChapterEnd() {
     if (currentChapterIndex.value < chapters.value.length - 1) {
-      // Go to next chapter
-      nextChapter()
+      if (sleepTimerMode.value === 'chapter') {
+        // Queue up the next chapter without playing it
+        currentTime.value = 0
+        loadChapter(currentChapterIndex.value + 1)
+        fireSleepTimer()
+      } else {
+        // Go to next chapter
+        nextChapter()
+      }
     } else {
       // Book finished
       isPlaying.value = false
+      endSession()
+      cancelSleepTimer()
       saveProgress(true)
     }
   }
@@ -146,6 +600,7 @@ export const usePlayerStore = defineStore('player', () => {
     try {
       await audio.play()
       isPlaying.value = true
+      startSession()
     } catch (error) {
       console.error('Play error:', error)
     }
@@ -155,6 +610,7 @@ export const usePlayerStore = defineStore('player', () => {
     if (!audio) return
     audio.pause()
     isPlaying.value = false
+    endSession()
     saveProgress()
   }
 
@@ -168,8 +624,13 @@ export const usePlayerStore = defineStore('player', () => {
 
   function seek(time) {
     if (!audio) return
-    audio.currentTime = Math.max(0, Math.min(time, duration.value))
-    currentTime.value = audio.currentTime
+    if (crossoverTimeout) {
+      clearTimeout(crossoverTimeout)
+      crossoverTimeout = null
+    }
+    const fileStart = chapterFileStart(currentChapter.value)
+    audio.currentTime = fileStart + Math.max(0, Math.min(time, duration.value))
+    currentTime.value = audio.currentTime - fileStart
   }
 
   function seekRelative(seconds) {
@@ -216,11 +677,174 @@ export const usePlayerStore = defineStore('player', () => {
     }
   }
 
+  function setPlaybackRate(rate) {
+    const rounded = Math.round(rate * 100) / 100
+    playbackRate.value = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rounded))
+    applyPlaybackRate()
+    localStorage.setItem('player-playback-rate', playbackRate.value.toString())
+
+    if (currentBook.value) {
+      saveProgress()
+    }
+  }
+
+  function applyPlaybackRate() {
+    if (!audio) return
+
+    // Loading a new source resets playbackRate to defaultPlaybackRate
+    audio.defaultPlaybackRate = playbackRate.value
+    audio.playbackRate = playbackRate.value
+    audio.preservesPitch = true
+    audio.webkitPreservesPitch = true
+  }
+
+  function getDefaultPlaybackRate() {
+    const savedRate = parseFloat(localStorage.getItem('player-playback-rate'))
+    return savedRate >= MIN_PLAYBACK_RATE && savedRate <= MAX_PLAYBACK_RATE ? savedRate : 1
+  }
+
+  function startSleepTimer(minutes) {
+    if (!(minutes > 0)) return
+
+    sleepTimerMode.value = 'duration'
+    sleepTimerRemaining.value = minutes * 60
+    restoreVolume()
+    startSleepTimerTicking()
+  }
+
+  function startSleepTimerAtChapterEnd() {
+    if (!currentChapter.value) return
+
+    sleepTimerMode.value = 'chapter'
+    sleepTimerRemaining.value = getChapterSleepRemaining()
+    restoreVolume()
+    startSleepTimerTicking()
+  }
+
+  function extendSleepTimer(minutes = SLEEP_TIMER_EXTEND_MINUTES) {
+    if (!sleepTimerActive.value) return
+
+    // An extended end-of-chapter timer becomes a plain countdown
+    sleepTimerMode.value = 'duration'
+    sleepTimerRemaining.value += minutes * 60
+    restoreVolume()
+  }
+
+  function cancelSleepTimer() {
+    if (sleepTimerInterval) {
+      clearInterval(sleepTimerInterval)
+      sleepTimerInterval = null
+    }
+    window.removeEventListener('devicemotion', handleDeviceMotion)
+    lastMotion = null
+
+    sleepTimerMode.value = null
+    sleepTimerRemaining.value = 0
+    restoreVolume()
+  }
+
+  function startSleepTimerTicking() {
+    if (sleepTimerInterval) {
+      clearInterval(sleepTimerInterval)
+    }
+    lastSleepTick = Date.now()
+    sleepTimerInterval = setInterval(tickSleepTimer, SLEEP_TICK_MS)
+    enableShakeToExtend()
+  }
+
+  function tickSleepTimer() {
+    const now = Date.now()
+    const elapsed = (now - lastSleepTick) / 1000
+    lastSleepTick = now
+
+    // The timer only runs down while something is playing
+    if (!isPlaying.value) return
+
+    if (sleepTimerMode.value === 'chapter') {
+      sleepTimerRemaining.value = getChapterSleepRemaining()
+    } else {
+      sleepTimerRemaining.value = Math.max(0, sleepTimerRemaining.value - elapsed)
+      if (sleepTimerRemaining.value === 0) {
+        fireSleepTimer()
+        return
+      }
+    }
+
+    // Set on every tick, so seeking back out of the fade in chapter mode brings the volume back
+    if (audio) {
+      audio.volume = volume.value * Math.min(1, sleepTimerRemaining.value / SLEEP_FADE_SECONDS)
+    }
+  }
+
+  // Chapter mode fires on the chapter change itself, so this only drives the display and fade
+  function getChapterSleepRemaining() {
+    const chapterDuration = currentChapter.value?.duration_seconds || duration.value
+    return Math.max(0, chapterDuration - currentTime.value) / playbackRate.value
+  }
+
+  function fireSleepTimer() {
+    if (audio) {
+      audio.pause()
+    }
+    isPlaying.value = false
+    endSession()
+    cancelSleepTimer()
+    saveProgress()
+  }
+
+  function restoreVolume() {
+    if (audio) {
+      audio.volume = volume.value
+    }
+  }
+
+  function enableShakeToExtend() {
+    if (typeof DeviceMotionEvent === 'undefined') return
+
+    // iOS asks for permission; this runs from the tap that set the timer
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      DeviceMotionEvent.requestPermission()
+        .then((state) => {
+          if (state === 'granted' && sleepTimerActive.value) {
+            window.addEventListener('devicemotion', handleDeviceMotion)
+          }
+        })
+        .catch(() => {})
+    } else {
+      window.addEventListener('devicemotion', handleDeviceMotion)
+    }
+  }
+
+  function handleDeviceMotion(event) {
+    const acceleration = event.accelerationIncludingGravity
+    if (!acceleration || acceleration.x === null) return
+
+    if (lastMotion) {
+      const change = Math.abs(acceleration.x - lastMotion.x) +
+        Math.abs(acceleration.y - lastMotion.y) +
+        Math.abs(acceleration.z - lastMotion.z)
+      const now = Date.now()
+
+      if (change > SHAKE_THRESHOLD && now - lastShakeAt > SHAKE_COOLDOWN_MS) {
+        lastShakeAt = now
+        extendSleepTimer()
+      }
+    }
+
+    lastMotion = { x: acceleration.x, y: acceleration.y, z: acceleration.z }
+  }
+
   function stop() {
+    endSession()
+    cancelSleepTimer()
+    discardPreload()
     if (audio) {
       audio.pause()
-      audio.src = ''
+      setAudioSource(audio, null)
     }
+    playingDownload = false
+    chapterLoadId++
+    loadedSourceIndex = null
     isPlaying.value = false
     currentBook.value = null
     chapters.value = []
@@ -235,6 +859,7 @@ export const usePlayerStore = defineStore('player', () => {
     saveProgressInterval = setInterval(() => {
       if (isPlaying.value) {
         saveProgress()
+        reportSession()
       }
     }, 10000) // Save every 10 seconds
   }
@@ -249,17 +874,90 @@ export const usePlayerStore = defineStore('player', () => {
   async function saveProgress(completed = false) {
     if (!currentBook.value) return
 
+    const bookId = currentBook.value.id
+    const data = {
+      position_seconds: globalPosition.value,
+      current_chapter: currentChapterIndex.value,
+      playback_rate: playbackRate.value,
+      completed
+    }
+
     try {
-      await api.updateProgress(currentBook.value.id, {
-        position_seconds: globalPosition.value,
-        current_chapter: currentChapterIndex.value,
-        completed
-      })
+      await api.updateProgress(bookId, data)
     } catch (error) {
-      console.error('Failed to save progress:', error)
+      if (isNetworkError(error)) {
+        // Replayed by flushProgressQueue once the connection is back
+        queueProgress(bookId, data)
+      } else {
+        console.error('Failed to save progress:', error)
+      }
+    }
+  }
+
+  function startSession() {
+    if (session || !currentBook.value) return
+
+    session = {
+      id: null,
+      bookId: currentBook.value.id,
+      startPosition: globalPosition.value,
+      startedAt: new Date(),
+      request: Promise.resolve()
     }
   }
 
+  function endSession() {
+    if (!session) return
+    reportSession()
+    session = null
+  }
+
+  // Create the session on the server on first report, then keep extending it
+  function reportSession() {
+    const current = session
+    if (!current) return
+
+    const data = {
+      end_position: globalPosition.value,
+      ended_at: new Date().toISOString(),
+      playback_rate: playbackRate.value
+    }
+
+    // Reports are chained so a session is never created twice
+    current.request = current.request.then(async () => {
+      if (!current.id && Date.now() - current.startedAt.getTime() < MIN_SESSION_MS) return
+
+      try {
+        if (current.id) {
+          await api.updateListeningSession(current.id, data)
+        } else {
+          const created = await api.createListeningSession({
+            book_id: current.bookId,
+            start_position: current.startPosition,
+            started_at: current.startedAt.toISOString(),
+            device: describeDevice(),
+            ...data
+          })
+          current.id = created.id
+        }
+      } catch (error) {
+        console.error('Failed to report listening session:', error)
+      }
+    })
+  }
+
+  // Keep lock screen metadata and playback state current
+  watch([currentBook, chapters, currentChapterIndex], () => {
+    updateMediaMetadata()
+    updatePositionState()
+  })
+
+  watch(isPlaying, (playing) => {
+    if ('mediaSession' in navigator) {
+      navigator.mediaSession.playbackState = currentBook.value ? (playing ? 'playing' : 'paused') : 'none'
+    }
+  })
+
   // Watch volume changes
   watch(volume, (newVolume) => {
     if (audio) {
@@ -274,6 +972,18 @@ export const usePlayerStore = defineStore('player', () => {
     volume.value = parseFloat(savedVolume)
   }
 
+  // Load saved stream quality
+  const savedQuality = localStorage.getItem('player-stream-quality')
+  if (savedQuality && savedQuality !== ORIGINAL_QUALITY) {
+    streamQuality.value = parseInt(savedQuality, 10)
+  }
+
+  // Send progress saved while offline
+  window.addEventListener('online', () => flushProgressQueue())
+  if (navigator.onLine) {
+    flushProgressQueue()
+  }
+
   return {
     // State
     currentBook,
@@ -283,7 +993,12 @@ export const usePlayerStore = defineStore('player', () => {
     currentTime,
     duration,
     volume,
+    playbackRate,
     isLoading,
+    streamQuality,
+    streamingOptions,
+    sleepTimerMode,
+    sleepTimerRemaining,
 
     // Computed
     currentChapter,
@@ -294,6 +1009,15 @@ export const usePlayerStore = defineStore('player', () => {
     formattedDuration,
     formattedGlobalPosition,
     formattedTotalDuration,
+    timeRemaining,
+    chapterTimeRemaining,
+    formattedTimeRemaining,
+    formattedChapterTimeRemaining,
+    formattedPlaybackRate,
+    canTranscode,
+    sleepTimerActive,
+    sleepTimerFading,
+    formattedSleepTimerRemaining,
 
     // Methods
     loadBook,
@@ -305,7 +1029,14 @@ export const usePlayerStore = defineStore('player', () => {
     nextChapter,
     previousChapter,
     goToChapter,
+    seekToGlobalPosition,
     setVolume,
+    setPlaybackRate,
+    setStreamQuality,
+    startSleepTimer,
+    startSleepTimerAtChapterEnd,
+    extendSleepTimer,
+    cancelSleepTimer,
     stop,
     saveProgress
   }
@@ -323,3 +1054,24 @@ function formatTime(seconds) {
   }
   return `${minutes}:${secs.toString().padStart(2, '0')}`
 }
+
+// Short label such as "Firefox on Android" for the listening log
+function describeDevice() {
+  const ua = navigator.userAgent
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Firefox\//.test(ua) ? 'Firefox'
+      : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari'
+          : 'Browser'
+  const os = /Android/.test(ua) ? 'Android'
+    : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+      : /Mac OS X/.test(ua) ? 'macOS'
+        : /Windows/.test(ua) ? 'Windows'
+          : /Linux/.test(ua) ? 'Linux'
+            : 'Unknown'
+  return `${browser} on ${os}`
+}
+
+export function formatPlaybackRate(rate) {
+  return `${Number(rate.toFixed(2))}x`
+}
@@ -0,0 +1,102 @@
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+
+const standaloneQuery = window.matchMedia('(display-mode: standalone)')
+
+export const usePwaStore = defineStore('pwa', () => {
+  // State
+  const isStandalone = ref(standaloneQuery.matches || navigator.standalone === true)
+  const updateAvailable = ref(false)
+  // Deferred beforeinstallprompt event, kept until the user asks to install
+  const installPrompt = ref(null)
+
+  let waitingWorker = null
+
+  // Computed
+  const canInstall = computed(() => Boolean(installPrompt.value) && !isStandalone.value)
+
+  // Methods
+  async function registerServiceWorker() {
+    // Only in production builds; in dev the worker would serve stale modules
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return
+
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js')
+
+      // A build installed on an earlier visit may already be waiting
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(registration.waiting)
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing
+        worker?.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            setWaitingWorker(worker)
+          }
+        })
+      })
+
+      // Long-lived tabs (e.g. left playing) still hear about new deploys
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000)
+    } catch (error) {
+      console.error('Service worker registration failed:', error)
+    }
+  }
+
+  function setWaitingWorker(worker) {
+    waitingWorker = worker
+    updateAvailable.value = true
+  }
+
+  function applyUpdate() {
+    if (!waitingWorker) return
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      window.location.reload()
+    }, { once: true })
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' })
+  }
+
+  function dismissUpdate() {
+    updateAvailable.value = false
+  }
+
+  async function promptInstall() {
+    if (!installPrompt.value) return
+
+    installPrompt.value.prompt()
+    await installPrompt.value.userChoice
+    installPrompt.value = null
+  }
+
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault()
+    installPrompt.value = event
+  })
+
+  window.addEventListener('appinstalled', () => {
+    installPrompt.value = null
+  })
+
+  standaloneQuery.addEventListener('change', (event) => {
+    isStandalone.value = event.matches
+  })
+
+  return {
+    // State
+    isStandalone,
+    updateAvailable,
+    installPrompt,
+
+    // Computed
+    canInstall,
+
+    // Methods
+    registerServiceWorker,
+    applyUpdate,
+    dismissUpdate,
+    promptInstall
+  }
+})
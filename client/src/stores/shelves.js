@@ -0,0 +1,58 @@
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import api from '../services/api'
+
+export const useShelvesStore = defineStore('shelves', () => {
+  // State
+  const shelves = ref([])
+  const loaded = ref(false)
+
+  // Methods
+  async function loadShelves() {
+    try {
+      shelves.value = await api.getShelves()
+    } catch (error) {
+      console.error('Failed to load shelves:', error)
+    } finally {
+      loaded.value = true
+    }
+  }
+
+  function getShelf(id) {
+    return shelves.value.find(shelf => shelf.id === Number(id)) || null
+  }
+
+  async function createShelf(name, query) {
+    const shelf = await api.createShelf({ name, query })
+    shelves.value = sortShelves([...shelves.value, shelf])
+    return shelf
+  }
+
+  async function updateShelf(id, data) {
+    const shelf = await api.updateShelf(id, data)
+    shelves.value = sortShelves(shelves.value.map(s => s.id === shelf.id ? shelf : s))
+    return shelf
+  }
+
+  async function deleteShelf(id) {
+    await api.deleteShelf(id)
+    shelves.value = shelves.value.filter(shelf => shelf.id !== id)
+  }
+
+  function sortShelves(list) {
+    return list.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+  }
+
+  return {
+    // State
+    shelves,
+    loaded,
+
+    // Methods
+    loadShelves,
+    getShelf,
+    createShelf,
+    updateShelf,
+    deleteShelf
+  }
+})
@@ -0,0 +1,149 @@
+// Service worker: precaches the app shell so the UI opens instantly, plays
+// downloaded audio (see services/offline.js) from Cache Storage, and serves the rest
+// of a downloaded book when the server can't be reached.
+// Not bundled as a module; vite.config.js fills in the build version and
+// precache list and emits it as /sw.js.
+
+const BUILD_VERSION = '__BUILD_VERSION__'
+const PRECACHE_URLS = [/* __PRECACHE_URLS__ */]
+
+const SHELL_CACHE_PREFIX = 'audioshelf-shell'
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}-${BUILD_VERSION}`
+// Must match DOWNLOADS_CACHE in services/offline.js
+const DOWNLOADS_CACHE = 'audioshelf-downloads'
+
+const BOOK_DATA_PATH = /^\/api\/books\/\d+(\/chapters)?$/
+const STREAM_PATH = /^\/api\/books\/\d+\/stream\/\d+$/
+
+// A new build waits until the page accepts the update prompt and sends SKIP_WAITING
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(['/index.html', ...PRECACHE_URLS]))
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+// Drop shells of previous builds; downloads are kept
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    // Every route is the same SPA shell; it belongs to this worker's build
+    event.respondWith(shellFirst(request))
+  } else if (url.pathname.startsWith('/assets/')) {
+    // Built assets have hashed names, so a cached copy never goes stale
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+  } else if (url.pathname.startsWith('/covers/')) {
+    event.respondWith(coverFromDownloadsOrNetwork(request))
+  } else if (BOOK_DATA_PATH.test(url.pathname)) {
+    event.respondWith(networkOrDownloads(request))  } else if (STREAM_PATH.test(url.pathname)) {
+    event.respondWith(streamFromDownloadsOrNetwork(request, url.pathname))
+  }
+})
+
+async function shellFirst(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match('/index.html')
+  return cached || fetch(request)
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Cover URLs carry their version, so a download of the same URL is the current cover.
+// Offline, a download of an older version is still better than none
+async function coverFromDownloadsOrNetwork(request) {
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const stale = await cache.match(request, { ignoreSearch: true })
+    if (stale) return stale
+    throw error
+  }
+}
+
+async function networkOrDownloads(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cache = await caches.open(DOWNLOADS_CACHE)
+    const cached = await cache.match(request, { ignoreSearch: true, ignoreVary: true })
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Downloaded audio is stored under the stream path without a token. It's answered from
+// there, including the Range requests audio elements seek with; the rest go to the server
+async function streamFromDownloadsOrNetwork(request, streamPath) {
+  const cache = await caches.open(DOWNLOADS_CACHE)
+  const cached = await cache.match(streamPath, { ignoreVary: true })
+  if (!cached) return fetch(request)
+
+  const range = request.headers.get('Range')
+  return range ? rangeResponse(cached, range) : cached
+}
+
+// Only single ranges are asked for by media elements: bytes=start-, bytes=start-end or bytes=-suffix
+async function rangeResponse(response, range) {
+  const blob = await response.blob()
+  const size = blob.size
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim())
+
+  let start = NaN
+  let end = size - 1
+  if (match && match[1]) {
+    start = Number(match[1])
+    if (match[2]) end = Math.min(Number(match[2]), size - 1)
+  } else if (match && match[2]) {
+    start = Math.max(0, size - Number(match[2]))
+  }
+
+  if (!(start <= end)) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } })
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  })
+}
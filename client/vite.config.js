@@ -1,8 +1,48 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import { createHash } from 'crypto'
+import { readFileSync, readdirSync } from 'fs'
+import { fileURLToPath } from 'url'
+
+const PUBLIC_DIR = fileURLToPath(new URL('./public', import.meta.url))
+const SW_SOURCE = fileURLToPath(new URL('./src/sw.js', import.meta.url))
+
+// Emit src/sw.js as /sw.js with this build's files to precache. The version
+// changes with every build, which is how browsers notice an update.
+function serviceWorker() {
+  return {
+    name: 'audioshelf-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const publicFiles = readdirSync(PUBLIC_DIR, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => `${entry.parentPath ?? entry.path}/${entry.name}`.slice(PUBLIC_DIR.length + 1))
+      const files = [
+        ...Object.keys(bundle).filter(file => file !== 'index.html' && !file.endsWith('.map')),
+        ...publicFiles
+      ].sort()
+
+      const hash = createHash('sha256')
+      for (const file of Object.keys(bundle).sort()) {
+        const output = bundle[file]
+        hash.update(file).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      for (const file of publicFiles.sort()) {
+        hash.update(file).update(readFileSync(`${PUBLIC_DIR}/${file}`))
+      }
+
+      const source = readFileSync(SW_SOURCE, 'utf-8')
+        .replace('__BUILD_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('/* __PRECACHE_URLS__ */', files.map(file => `'/${file}'`).join(', '))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [vue()],
+  plugins: [vue(), serviceWorker()],
   server: {
     port: 5173,
     proxy: {
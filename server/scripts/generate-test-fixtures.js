@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Test Fixture Generator
+ * Makes the short audio files in test/fixtures/audio with ffmpeg. The files are
+ * committed, so tests don't need ffmpeg; run this (npm run test:fixtures) only to change them
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AUDIO_DIR = path.join(__dirname, '../test/fixtures/audio');
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Every fixture is a quiet tone this long, in seconds; test/metadata.test.js expects it
+const FIXTURE_DURATION = 3;
+
+// Vorbis comment chapters are given as metadata, in the order they're written; the OGG file
+// also has malformed ones that should be skipped. MP4 and Matroska chapters are given as
+// chapters, in seconds
+const FIXTURES = [
+  {
+    file: 'chapters.flac',
+    codec: ['-c:a', 'flac'],
+    metadata: {
+      CHAPTER001: '00:00:00.000',
+      CHAPTER001NAME: 'Opening',
+      CHAPTER002: '00:00:01.500',
+      CHAPTER002NAME: 'Closing'
+    }
+  },
+  {
+    file: 'chapters.ogg',
+    codec: ['-c:a', 'libvorbis', '-q:a', '0'],
+    metadata: {
+      // Listed out of order; chapters are sorted by start time
+      CHAPTER03: '00:00:02.250',
+      CHAPTER03NAME: 'Third',
+      CHAPTER01: '00:00:00',
+      CHAPTER01NAME: 'First',
+      CHAPTER02: '0:01.000',
+      // Malformed: not a time, negative, too many parts, a trailing colon, no start at all
+      CHAPTER04: 'soon',
+      CHAPTER04NAME: 'Not a time',
+      CHAPTER05: '00:-01:00',
+      CHAPTER06: '1:2:3:4',
+      CHAPTER07: '00:01:',
+      CHAPTER08NAME: 'No start'
+    }
+  },
+  {
+    file: 'chapters.opus',
+    codec: ['-c:a', 'libopus', '-b:a', '16k'],
+    metadata: {
+      CHAPTER000: '00:00:00.000',
+      CHAPTER000NAME: 'Part One',
+      CHAPTER001: '00:00:01.000',
+      CHAPTER001NAME: 'Part Two'
+    }
+  },
+  {
+    file: 'chapters.m4b',
+    codec: ['-c:a', 'aac', '-b:a', '24k'],
+    chapters: [
+      { title: 'Introduction', start: 0, end: 1.25 },
+      { title: 'Main Part', start: 1.25, end: 2.5 },
+      { title: 'Credits', start: 2.5, end: FIXTURE_DURATION }
+    ]
+  },
+  {
+    file: 'chapters.mka',
+    codec: ['-c:a', 'libvorbis', '-q:a', '0'],
+    chapters: [
+      { title: 'Side A', start: 0, end: 2 },
+      { title: 'Side B', start: 2, end: FIXTURE_DURATION }
+    ]
+  },
+  { file: 'tone.aac', codec: ['-c:a', 'aac', '-b:a', '24k', '-f', 'adts'] },
+  { file: 'tone.wav', codec: ['-c:a', 'pcm_u8'] },
+  { file: 'tone.wma', codec: ['-c:a', 'wmav2', '-b:a', '32k'] },
+  { file: 'tone.mka', codec: ['-c:a', 'libvorbis', '-q:a', '0'] }
+];
+
+function generate({ file, codec, metadata = {}, chapters = [] }) {
+  const chapterFile = chapters.length > 0 ? writeChapterFile(file, chapters) : null;
+
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-y',
+    '-f', 'lavfi',
+    '-i', `sine=frequency=440:sample_rate=8000:duration=${FIXTURE_DURATION}`,
+    ...(chapterFile ? ['-f', 'ffmetadata', '-i', chapterFile, '-map', '0:a', '-map_chapters', '1'] : []),
+    '-af', 'volume=0.1',
+    '-ac', '1',
+    // Dropping all metadata would drop chapter titles too, so chapter files copy the (empty)
+    // global metadata from the chapter file instead
+    '-map_metadata', chapterFile ? '1' : '-1',
+    ...codec,
+    ...Object.entries(metadata).flatMap(([key, value]) => ['-metadata', `${key}=${value}`]),
+    path.join(AUDIO_DIR, file)
+  ];
+
+  const result = spawnSync(FFMPEG_PATH, args, { encoding: 'utf-8' });
+  if (chapterFile) fs.unlinkSync(chapterFile);
+  if (result.error || result.status !== 0) {
+    throw new Error(`Could not make ${file}: ${result.error?.message || result.stderr.trim()}`);
+  }
+  console.log(`Made ${file}`);
+}
+
+// ffmpeg reads chapters from an FFMETADATA file, with times in milliseconds
+function writeChapterFile(file, chapters) {
+  const lines = [';FFMETADATA1'];
+  for (const { title, start, end } of chapters) {
+    lines.push('[CHAPTER]', 'TIMEBASE=1/1000', `START=${start * 1000}`, `END=${end * 1000}`, `title=${title}`);
+  }
+
+  const chapterFile = path.join(os.tmpdir(), `${path.basename(file)}.ffmetadata`);
+  fs.writeFileSync(chapterFile, lines.join('\n') + '\n');
+  return chapterFile;
+}
+
+for (const fixture of FIXTURES) {
+  generate(fixture);
+}
@@ -32,6 +32,11 @@ export const config = {
     modelsPath: process.env.WHISPER_MODELS_PATH || path.join(__dirname, '../../data/models')
   },
 
+  transcoding: {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    cachePath: process.env.TRANSCODE_CACHE_PATH || path.join(__dirname, '../../data/transcode-cache')
+  },
+
   openlibrary: {
     enabled: process.env.OPENLIBRARY_ENABLED === 'true',
     baseUrl: 'https://openlibrary.org'
@@ -165,8 +165,327 @@ function runMigrations(database) {
       console.error('Migration 4 failed:', error.message);
     }
   }
+
+  // Migration 5: Add file offsets to chapters for single-file books with embedded chapters
+  if (userVersion < 5) {
+    console.log('Running migration 5: Adding file offsets to chapters...');
+
+    try {
+      const tableInfo = database.pragma('table_info(chapters)');
+      const columnNames = tableInfo.map(col => col.name);
+
+      if (tableInfo.length > 0 && !columnNames.includes('file_start_seconds')) {
+        database.exec(`
+          ALTER TABLE chapters ADD COLUMN file_start_seconds REAL DEFAULT 0;
+          ALTER TABLE chapters ADD COLUMN file_end_seconds REAL;
+        `);
+      }
+
+      database.pragma('user_version = 5');
+      console.log('Migration 5 complete: chapter file offset columns added');
+    } catch (error) {
+      console.error('Migration 5 failed:', error.message);
+    }
+  }
+
+  // Migration 6: Add file fingerprints for incremental scanning
+  if (userVersion < 6) {
+    console.log('Running migration 6: Adding file fingerprints table...');
+
+    try {
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS file_fingerprints (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+          file_path TEXT UNIQUE NOT NULL,
+          size INTEGER NOT NULL,
+          mtime_ms INTEGER NOT NULL,
+          partial_hash TEXT,
+          scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_file_fingerprints_book ON file_fingerprints(book_id);
+      `);
+
+      database.pragma('user_version = 6');
+      console.log('Migration 6 complete: file_fingerprints table created');
+    } catch (error) {
+      console.error('Migration 6 failed:', error.message);
+    }
+  }
+
+  // Migration 7: Remember playback speed per user and book
+  if (userVersion < 7) {
+    console.log('Running migration 7: Adding playback_rate to user_progress...');
+
+    try {
+      const tableInfo = database.pragma('table_info(user_progress)');
+      const columnNames = tableInfo.map(col => col.name);
+
+      if (tableInfo.length > 0 && !columnNames.includes('playback_rate')) {
+        database.exec('ALTER TABLE user_progress ADD COLUMN playback_rate REAL');
+      }
+
+      database.pragma('user_version = 7');
+      console.log('Migration 7 complete: playback_rate column added');
+    } catch (error) {
+      console.error('Migration 7 failed:', error.message);
+    }
+  }
+
+  // Migration 8: Add bookmarks
+  if (userVersion < 8) {
+    console.log('Running migration 8: Adding bookmarks table...');
+
+    try {
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS bookmarks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+          position_seconds REAL NOT NULL,
+          chapter_index INTEGER NOT NULL DEFAULT 0,
+          title TEXT,
+          note TEXT,
+          transcript_text TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_bookmarks_user_book ON bookmarks(user_id, book_id);
+      `);
+
+      database.pragma('user_version = 8');
+      console.log('Migration 8 complete: bookmarks table created');
+    } catch (error) {
+      console.error('Migration 8 failed:', error.message);
+    }
+  }
+
+  // Migration 9: Record listening sessions for statistics
+  if (userVersion < 9) {
+    console.log('Running migration 9: Adding listening_sessions table...');
+
+    try {
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS listening_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+          start_position REAL NOT NULL,
+          end_position REAL NOT NULL,
+          started_at DATETIME NOT NULL,
+          ended_at DATETIME NOT NULL,
+          listening_seconds REAL NOT NULL DEFAULT 0,
+          playback_rate REAL DEFAULT 1,
+          device TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_listening_sessions_user_started ON listening_sessions(user_id, started_at);
+        CREATE INDEX IF NOT EXISTS idx_listening_sessions_book ON listening_sessions(book_id);
+      `);
+
+      database.pragma('user_version = 9');
+      console.log('Migration 9 complete: listening_sessions table created');
+    } catch (error) {
+      console.error('Migration 9 failed:', error.message);
+    }
+  }
+
+  // Migration 10: Add fields read from sidecar metadata files, and where each field came from
+  if (userVersion < 10) {
+    console.log('Running migration 10: Adding sidecar metadata fields to books...');
+
+    try {
+      const tableInfo = database.pragma('table_info(books)');
+      const columnNames = tableInfo.map(col => col.name);
+
+      if (tableInfo.length > 0 && !columnNames.includes('asin')) {
+        database.exec(`
+          ALTER TABLE books ADD COLUMN asin TEXT;
+          ALTER TABLE books ADD COLUMN language TEXT;
+          ALTER TABLE books ADD COLUMN tags TEXT;
+          ALTER TABLE books ADD COLUMN metadata_sources TEXT;
+        `);
+      }
+
+      database.pragma('user_version = 10');
+      console.log('Migration 10 complete: sidecar metadata columns added');
+    } catch (error) {
+      console.error('Migration 10 failed:', error.message);
+    }
+  }
+
+  // Migration 11: Per-field metadata locks
+  if (userVersion < 11) {
+    console.log('Running migration 11: Adding locked_fields to books...');
+
+    try {
+      const tableInfo = database.pragma('table_info(books)');
+      const columnNames = tableInfo.map(col => col.name);
+
+      if (tableInfo.length > 0 && !columnNames.includes('locked_fields')) {
+        database.exec('ALTER TABLE books ADD COLUMN locked_fields TEXT');
+      }
+
+      database.pragma('user_version = 11');
+      console.log('Migration 11 complete: locked_fields column added');
+    } catch (error) {
+      console.error('Migration 11 failed:', error.message);
+    }
+  }
+
+  // Migration 12: Keep a history of book metadata changes
+  if (userVersion < 12) {
+    console.log('Running migration 12: Adding book_metadata_history table...');
+
+    try {
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS book_metadata_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          book_id INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+          source TEXT NOT NULL,
+          changes JSON NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_book_metadata_history_book ON book_metadata_history(book_id, created_at);
+      `);
+
+      database.pragma('user_version = 12');
+      console.log('Migration 12 complete: book_metadata_history table created');
+    } catch (error) {
+      console.error('Migration 12 failed:', error.message);
+    }
+  }
+
+  // Migration 13: Full-text search over book metadata and transcripts
+  if (userVersion < 13) {
+    console.log('Running migration 13: Adding full-text search index...');
+
+    try {
+      const tableInfo = database.pragma('table_info(books)');
+
+      // New databases get the index with the rest of the schema
+      if (tableInfo.length > 0) {
+        database.exec(SEARCH_INDEX_SCHEMA);
+        database.exec(`
+          DELETE FROM books_fts;
+          INSERT INTO books_fts (rowid, title, author, narrator, series, description, api_description)
+          SELECT b.id, b.title, b.author, b.narrator, s.name, b.description, b.api_description
+          FROM books b
+          LEFT JOIN series s ON b.series_id = s.id;
+
+          DELETE FROM transcripts_fts;
+          INSERT INTO transcripts_fts (rowid, text, book_id, chapter_index, start_seconds)
+          SELECT t.id * 100000 + s.key, json_extract(s.value, '$.text'), t.book_id, t.chapter_index, json_extract(s.value, '$.start')
+          FROM audio_transcriptions t, json_each(t.sentence_timestamps, '$.sentences') s
+          WHERE s.key < 100000;
+        `);
+      }
+
+      database.pragma('user_version = 13');
+      console.log('Migration 13 complete: full-text search index created');
+    } catch (error) {
+      console.error('Migration 13 failed:', error.message);
+    }
+  }
+
+  // Migration 14: Saved library queries ("smart shelves")
+  if (userVersion < 14) {
+    console.log('Running migration 14: Adding smart_shelves table...');
+
+    try {
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS smart_shelves (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          query TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, name)
+        );
+      `);
+
+      database.pragma('user_version = 14');
+      console.log('Migration 14 complete: smart_shelves table created');
+    } catch (error) {
+      console.error('Migration 14 failed:', error.message);
+    }
+  }
 }
 
+// Full-text search index, kept in sync with books, series names and transcripts
+// by triggers. books_fts rows use the book ID as their rowid; transcript sentences
+// use transcription ID * 100000 + sentence index, so a chapter's sentences can be
+// removed by rowid range
+const SEARCH_INDEX_SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+    title, author, narrator, series, description, api_description,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_fts USING fts5(
+    text,
+    book_id UNINDEXED,
+    chapter_index UNINDEXED,
+    start_seconds UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_insert AFTER INSERT ON books BEGIN
+    INSERT INTO books_fts (rowid, title, author, narrator, series, description, api_description)
+    VALUES (
+      NEW.id, NEW.title, NEW.author, NEW.narrator,
+      (SELECT name FROM series WHERE id = NEW.series_id),
+      NEW.description, NEW.api_description
+    );
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_update
+  AFTER UPDATE OF title, author, narrator, series_id, description, api_description ON books BEGIN
+    DELETE FROM books_fts WHERE rowid = OLD.id;
+    INSERT INTO books_fts (rowid, title, author, narrator, series, description, api_description)
+    VALUES (
+      NEW.id, NEW.title, NEW.author, NEW.narrator,
+      (SELECT name FROM series WHERE id = NEW.series_id),
+      NEW.description, NEW.api_description
+    );
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_delete AFTER DELETE ON books BEGIN
+    DELETE FROM books_fts WHERE rowid = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS series_fts_update AFTER UPDATE OF name ON series BEGIN
+    UPDATE books_fts SET series = NEW.name
+    WHERE rowid IN (SELECT id FROM books WHERE series_id = NEW.id);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS transcripts_fts_insert AFTER INSERT ON audio_transcriptions BEGIN
+    INSERT INTO transcripts_fts (rowid, text, book_id, chapter_index, start_seconds)
+    SELECT NEW.id * 100000 + s.key, json_extract(s.value, '$.text'), NEW.book_id, NEW.chapter_index, json_extract(s.value, '$.start')
+    FROM json_each(NEW.sentence_timestamps, '$.sentences') s
+    WHERE s.key < 100000;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS transcripts_fts_delete AFTER DELETE ON audio_transcriptions BEGIN
+    DELETE FROM transcripts_fts WHERE rowid BETWEEN OLD.id * 100000 AND OLD.id * 100000 + 99999;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS transcripts_fts_update AFTER UPDATE OF sentence_timestamps ON audio_transcriptions BEGIN
+    DELETE FROM transcripts_fts WHERE rowid BETWEEN OLD.id * 100000 AND OLD.id * 100000 + 99999;
+    INSERT INTO transcripts_fts (rowid, text, book_id, chapter_index, start_seconds)
+    SELECT NEW.id * 100000 + s.key, json_extract(s.value, '$.text'), NEW.book_id, NEW.chapter_index, json_extract(s.value, '$.start')
+    FROM json_each(NEW.sentence_timestamps, '$.sentences') s
+    WHERE s.key < 100000;
+  END;
+`;
+
 export async function initializeDatabase() {
   // Ensure data directory exists
   const dataDir = path.dirname(config.database.path);
@@ -226,6 +545,11 @@ export async function initializeDatabase() {
       api_cover_url TEXT,
       metadata_source TEXT,
       metadata_enriched_at DATETIME,
+      asin TEXT,
+      language TEXT,
+      tags TEXT,
+      metadata_sources TEXT,
+      locked_fields TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -238,6 +562,8 @@ export async function initializeDatabase() {
       start_seconds REAL DEFAULT 0,
       duration_seconds REAL DEFAULT 0,
       file_path TEXT NOT NULL,
+      file_start_seconds REAL DEFAULT 0,
+      file_end_seconds REAL,
       order_index INTEGER NOT NULL,
       UNIQUE(book_id, order_index)
     );
@@ -250,13 +576,14 @@ export async function initializeDatabase() {
       current_chapter INTEGER DEFAULT 0,
       position_seconds REAL DEFAULT 0,
       completed INTEGER DEFAULT 0,
+      playback_rate REAL,
       started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       completed_at DATETIME,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(user_id, book_id)
     );
 
-    -- User Statistics table
+    -- User Statistics table (listening totals from before listening_sessions existed)
     CREATE TABLE IF NOT EXISTS user_stats (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -292,6 +619,8 @@ export async function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_cache_expires ON api_metadata_cache(expires_at);
   `);
 
+  db.exec(SEARCH_INDEX_SCHEMA);
+
   // Create default admin user if no users exist
   const userCount = db.prepare('SELECT COUNT(*) as count FROM users').get();
   if (userCount.count === 0) {
@@ -306,7 +635,10 @@ export async function initializeDatabase() {
   // Initialize default settings
   const defaultSettings = {
     library_path: config.library.path,
+    library_layout: '{author}/{series}/{title}',
     scan_schedule: '',
+    scan_partial_hash: 'false',
+    library_watch_enabled: 'false',
     openlibrary_enabled: 'false',
     api_enrichment_enabled: 'true',
     api_enrichment_prefer_api_covers: 'true',
@@ -314,7 +646,9 @@ export async function initializeDatabase() {
     google_books_api_key: '',
     transcription_backend: 'auto',
     transcription_model: 'base.en',
-    transcription_language: 'en'
+    transcription_language: 'en',
+    transcoding_enabled: 'false',
+    transcoding_cache_max_mb: '2048'
   };
 
   const insertSetting = db.prepare(`
@@ -11,8 +11,14 @@ import { seriesRouter } from './routes/series.js';
 import { adminRouter } from './routes/admin.js';
 import { statsRouter } from './routes/stats.js';
 import { transcriptionRouter } from './routes/transcription.js';
+import { bookmarksRouter } from './routes/bookmarks.js';
+import { streamingRouter } from './routes/streaming.js';
+import { coversRouter } from './routes/covers.js';
+import { shelvesRouter } from './routes/shelves.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { resumePendingJobs } from './services/transcription/jobQueue.js';
+import { startScheduler } from './services/scheduler/index.js';
+import { startWatcher } from './services/watcher/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,7 +34,8 @@ app.use(cors({
 }));
 app.use(express.json());
 
-// Static files for covers
+// Cover thumbnails and versioned covers, then full-size covers as static files
+app.use('/covers', coversRouter);
 app.use('/covers', express.static(config.covers.path));
 
 // Serve client build in production
@@ -44,6 +51,9 @@ app.use('/api/series', seriesRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/stats', statsRouter);
 app.use('/api/transcription', transcriptionRouter);
+app.use('/api/bookmarks', bookmarksRouter);
+app.use('/api/streaming', streamingRouter);
+app.use('/api/shelves', shelvesRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -69,6 +79,12 @@ async function start() {
     // Resume pending transcription jobs
     resumePendingJobs();
 
+    // Start scheduled library scans and maintenance jobs
+    startScheduler();
+
+    // Watch the library folder for changes if enabled
+    startWatcher();
+
     app.listen(config.port, () => {
       console.log(`Audioshelf server running on port ${config.port}`);
       console.log(`Environment: ${config.nodeEnv}`);
@@ -1,13 +1,36 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import { getDb } from '../database/init.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
-import { scanLibrary, getScanStatus } from '../services/scanner/index.js';
+import { scanLibrary, rescanBook, getScanStatus, SCAN_MODES } from '../services/scanner/index.js';
 import { enrichBookMetadata, updateBookWithEnrichedData, searchMultipleResults } from '../services/metadata/apiEnrichment.js';
 import { clearCache, getCacheStats } from '../services/metadata/apiCache.js';
 import { extractMetadata } from '../services/metadata/index.js';
 import { getTranscriptionStatus, resetBackendDetection } from '../services/transcription/transcription.js';
+import { isValidSchedule, rescheduleLibraryScan, getScheduleStatus } from '../services/scheduler/index.js';
+import { setWatcherEnabled, getWatcherStatus } from '../services/watcher/index.js';
+import { getTranscoderStatus, clearTranscodeCache } from '../services/transcoder/index.js';
+import { SUPPORTED_AUDIO_EXTENSIONS, parseAudioExtensions } from '../services/metadata/formats.js';
+import { parseLibraryLayout } from '../services/scanner/layout.js';
+import { getFormattedBook } from '../services/books/serializer.js';
+import {
+  canWriteTags,
+  isWritingBookTags,
+  previewBookTags,
+  writeBookTags,
+  formatTagResult,
+  startBatchTagWrite,
+  getBatchTagWriteStatus
+} from '../services/tagWriter/index.js';
+import {
+  MAX_COVER_BYTES,
+  findCoverCandidates,
+  readCoverCandidate,
+  fetchCoverImage,
+  setBookCover,
+  getImageInfo
+} from '../services/covers/index.js';
 import { config } from '../config/index.js';
 import path from 'path';
 import fs from 'fs';
@@ -26,7 +49,12 @@ adminRouter.get('/users', (req, res, next) => {
     const users = db.prepare(`
       SELECT
         u.id, u.username, u.role, u.created_at, u.updated_at,
-        us.total_listening_seconds, us.books_completed
+        COALESCE(us.total_listening_seconds, 0) + (
+          SELECT COALESCE(SUM(listening_seconds), 0) FROM listening_sessions ls WHERE ls.user_id = u.id
+        ) as total_listening_seconds,
+        (
+          SELECT COUNT(*) FROM user_progress up WHERE up.user_id = u.id AND up.completed = 1
+        ) as books_completed
       FROM users u
       LEFT JOIN user_stats us ON u.id = us.user_id
       ORDER BY u.created_at ASC
@@ -39,7 +67,7 @@ adminRouter.get('/users', (req, res, next) => {
       created_at: u.created_at,
       updated_at: u.updated_at,
       stats: {
-        total_listening_seconds: u.total_listening_seconds || 0,
+        total_listening_seconds: Math.round(u.total_listening_seconds),
         books_completed: u.books_completed || 0
       }
     })));
@@ -191,9 +219,14 @@ adminRouter.delete('/users/:id', (req, res, next) => {
 
 // ==================== LIBRARY MANAGEMENT ====================
 
-// POST /api/admin/library/scan - Trigger scan
+// POST /api/admin/library/scan - Trigger scan (mode: quick skips unchanged folders, full rescans all)
 adminRouter.post('/library/scan', async (req, res, next) => {
   try {
+    const { mode = 'quick' } = req.body || {};
+    if (!SCAN_MODES.includes(mode)) {
+      throw new ValidationError(`Invalid scan mode. Must be one of: ${SCAN_MODES.join(', ')}`);
+    }
+
     const status = getScanStatus();
     if (status.scanning) {
       return res.status(409).json({
@@ -203,7 +236,7 @@ adminRouter.post('/library/scan', async (req, res, next) => {
     }
 
     // Start scan in background
-    scanLibrary().catch(err => {
+    scanLibrary({ mode }).catch(err => {
       console.error('Library scan error:', err);
     });
 
@@ -228,6 +261,8 @@ adminRouter.get('/library/status', (req, res, next) => {
 
     res.json({
       scan: getScanStatus(),
+      schedule: getScheduleStatus(),
+      watcher: getWatcherStatus(),
       library: {
         path: libraryPath?.value || config.library.path,
         book_count: bookCount.count,
@@ -265,6 +300,8 @@ adminRouter.put('/settings', (req, res, next) => {
     const {
       library_path,
       scan_schedule,
+      scan_partial_hash,
+      library_watch_enabled,
       openlibrary_enabled,
       api_enrichment_enabled,
       api_enrichment_prefer_api_covers,
@@ -272,9 +309,42 @@ adminRouter.put('/settings', (req, res, next) => {
       google_books_api_key,
       transcription_backend,
       transcription_model,
-      transcription_language
+      transcription_language,
+      transcoding_enabled,
+      transcoding_cache_max_mb,
+      audio_extensions,
+      library_layout
     } = req.body;
 
+    if (scan_schedule !== undefined && !isValidSchedule(scan_schedule)) {
+      throw new ValidationError('Invalid scan schedule. Use a cron expression like "0 0 * * *" or leave empty');
+    }
+
+    if (transcoding_cache_max_mb !== undefined && !(Number.isInteger(Number(transcoding_cache_max_mb)) && Number(transcoding_cache_max_mb) >= 0)) {
+      throw new ValidationError('Transcode cache size must be a whole number of megabytes');
+    }
+
+    let audioExtensions;
+    if (audio_extensions !== undefined) {
+      audioExtensions = parseAudioExtensions(Array.isArray(audio_extensions) ? audio_extensions.join(',') : audio_extensions);
+      const unsupported = audioExtensions.filter(ext => !SUPPORTED_AUDIO_EXTENSIONS.includes(ext));
+      if (unsupported.length > 0) {
+        throw new ValidationError(`Unsupported audio extensions: ${unsupported.join(', ')}. Must be among: ${SUPPORTED_AUDIO_EXTENSIONS.join(', ')}`);
+      }
+      if (audioExtensions.length === 0) {
+        throw new ValidationError('At least one audio extension must be included');
+      }
+    }
+
+    let libraryLayout;
+    if (library_layout !== undefined) {
+      try {
+        libraryLayout = parseLibraryLayout(library_layout);
+      } catch (error) {
+        throw new ValidationError(`Invalid library layout. ${error.message}`);
+      }
+    }
+
     const updateSetting = db.prepare(`
       INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)
     `);
@@ -283,7 +353,14 @@ adminRouter.put('/settings', (req, res, next) => {
       updateSetting.run('library_path', library_path);
     }
     if (scan_schedule !== undefined) {
-      updateSetting.run('scan_schedule', scan_schedule);
+      updateSetting.run('scan_schedule', String(scan_schedule || '').trim());
+      rescheduleLibraryScan(scan_schedule);
+    }
+    if (library_watch_enabled !== undefined) {
+      updateSetting.run('library_watch_enabled', String(library_watch_enabled));
+    }
+    if (scan_partial_hash !== undefined) {
+      updateSetting.run('scan_partial_hash', String(scan_partial_hash));
     }
     if (openlibrary_enabled !== undefined) {
       updateSetting.run('openlibrary_enabled', String(openlibrary_enabled));
@@ -311,6 +388,24 @@ adminRouter.put('/settings', (req, res, next) => {
     if (transcription_language !== undefined) {
       updateSetting.run('transcription_language', transcription_language);
     }
+    if (transcoding_enabled !== undefined) {
+      updateSetting.run('transcoding_enabled', String(transcoding_enabled));
+    }
+    if (transcoding_cache_max_mb !== undefined) {
+      updateSetting.run('transcoding_cache_max_mb', String(Number(transcoding_cache_max_mb)));
+    }
+    if (audioExtensions) {
+      updateSetting.run('audio_extensions', [...new Set(audioExtensions)].join(','));
+    }
+    if (libraryLayout) {
+      updateSetting.run('library_layout', libraryLayout.join('/'));
+    }
+
+    // Start, stop or re-point the watcher when its switch, the library path or the layout depth changes
+    if (library_watch_enabled !== undefined || library_path !== undefined || libraryLayout) {
+      const watchEnabled = db.prepare("SELECT value FROM settings WHERE key = 'library_watch_enabled'").get()?.value === 'true';
+      setWatcherEnabled(watchEnabled);
+    }
 
     // Return updated settings
     const settings = db.prepare('SELECT * FROM settings').all();
@@ -337,6 +432,27 @@ adminRouter.get('/transcription/status', (req, res, next) => {
   }
 });
 
+// ==================== TRANSCODING ====================
+
+// GET /api/admin/transcoding/status - ffmpeg availability and segment cache usage
+adminRouter.get('/transcoding/status', (req, res, next) => {
+  try {
+    res.json(getTranscoderStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/transcoding/cache - Delete all cached segments
+adminRouter.delete('/transcoding/cache', (req, res, next) => {
+  try {
+    clearTranscodeCache();
+    res.json({ message: 'Transcode cache cleared' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==================== BOOKS MANAGEMENT ====================
 
 // DELETE /api/admin/books/:id - Delete book from database (not files)
@@ -358,6 +474,40 @@ adminRouter.delete('/books/:id', (req, res, next) => {
   }
 });
 
+// POST /api/admin/books/:id/refresh - Unlock all fields and rescan the book's folder
+adminRouter.post('/books/:id/refresh', async (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+
+    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    const status = getScanStatus();
+    if (status.scanning) {
+      return res.status(409).json({
+        error: 'Scan in progress',
+        status
+      });
+    }
+
+    db.prepare('UPDATE books SET locked_fields = NULL WHERE id = ?').run(id);
+
+    // Waits for the scan (and enrichment, if enabled) so the response has the refreshed book
+    const results = await rescanBook(book.folder_path);
+
+    res.json({
+      success: true,
+      results,
+      book: getFormattedBook(db, id, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/admin/books/:id/enrich - Enrich single book metadata
 adminRouter.post('/books/:id/enrich', async (req, res, next) => {
   try {
@@ -390,7 +540,7 @@ adminRouter.post('/books/:id/enrich', async (req, res, next) => {
     }
 
     // Update book with enriched data
-    const updatedBook = await updateBookWithEnrichedData(id, enrichedData);
+    await updateBookWithEnrichedData(id, enrichedData);
 
     // Determine which fields were enriched
     const enrichedFields = [];
@@ -401,7 +551,7 @@ adminRouter.post('/books/:id/enrich', async (req, res, next) => {
 
     res.json({
       success: true,
-      book: updatedBook,
+      book: getFormattedBook(db, id, req.user.id),
       source: enrichedData.source,
       enrichedFields
     });
@@ -445,11 +595,11 @@ adminRouter.post('/books/:id/search-metadata', async (req, res, next) => {
 
     // If only one result, auto-apply it
     if (searchResults.results.length === 1) {
-      const updatedBook = await updateBookWithEnrichedData(id, searchResults.results[0]);
+      await updateBookWithEnrichedData(id, searchResults.results[0]);
       return res.json({
         success: true,
         autoApplied: true,
-        book: updatedBook,
+        book: getFormattedBook(db, id, req.user.id),
         source: searchResults.source
       });
     }
@@ -483,11 +633,11 @@ adminRouter.post('/books/:id/apply-metadata', async (req, res, next) => {
     }
 
     // Update book with selected metadata
-    const updatedBook = await updateBookWithEnrichedData(id, metadata);
+    await updateBookWithEnrichedData(id, metadata);
 
     res.json({
       success: true,
-      book: updatedBook,
+      book: getFormattedBook(db, id, req.user.id),
       source: metadata.source
     });
   } catch (error) {
@@ -562,6 +712,172 @@ adminRouter.post('/books/batch-enrich', async (req, res, next) => {
   }
 });
 
+// GET /api/admin/books/:id/cover-candidates - Images that could be the book's cover
+// ?online=true also searches Open Library and Google Books, which is slower
+adminRouter.get('/books/:id/cover-candidates', async (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+
+    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    const candidates = await findCoverCandidates(db, book);
+
+    if (req.query.online === 'true') {
+      const searchResults = await searchMultipleResults(book, null, { limit: 5 });
+      const seen = new Set();
+
+      for (const result of searchResults?.results || []) {
+        if (!result.coverUrl || seen.has(result.coverUrl)) continue;
+        seen.add(result.coverUrl);
+
+        candidates.push({
+          id: null,
+          source: result.source,
+          label: result.title,
+          url: result.coverUrl,
+          current: false
+        });
+      }
+    }
+
+    res.json(candidates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/books/:id/cover - Set the cover from an uploaded image (image/* body),
+// a candidate ({ candidate_id }) or a URL ({ url })
+adminRouter.put('/books/:id/cover', express.raw({ type: 'image/*', limit: MAX_COVER_BYTES }), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+
+    const book = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    let data;
+    if (Buffer.isBuffer(req.body)) {
+      data = req.body;
+    } else if (req.body.candidate_id) {
+      data = readCoverCandidate(book.id, String(req.body.candidate_id));
+      if (!data) {
+        throw new ValidationError('Cover candidate not found; reload the candidates');
+      }
+    } else if (req.body.url) {
+      try {
+        data = await fetchCoverImage(String(req.body.url));
+      } catch (error) {
+        throw new ValidationError(`Could not import cover: ${error.message}`);
+      }
+    } else {
+      throw new ValidationError('An image, candidate_id or url is required');
+    }
+
+    if (!getImageInfo(data)) {
+      throw new ValidationError('Covers must be JPEG, PNG, WebP or GIF images');
+    }
+
+    setBookCover(db, book, data);
+
+    res.json({
+      success: true,
+      book: getFormattedBook(db, id, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/books/:id/write-tags - Write metadata, cover and chapters into the book's audio files
+adminRouter.post('/books/:id/write-tags', async (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+    const dryRun = req.body.dry_run !== false;
+    const backup = Boolean(req.body.backup);
+
+    const book = db.prepare('SELECT id FROM books WHERE id = ?').get(id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    if (dryRun) {
+      return res.json({ dry_run: true, ...formatTagResult(await previewBookTags(book.id)) });
+    }
+
+    if (!canWriteTags()) {
+      throw new ValidationError('ffmpeg is required to write tags');
+    }
+
+    const batch = getBatchTagWriteStatus();
+    if (isWritingBookTags(book.id) || (batch.running && !batch.dryRun)) {
+      return res.status(409).json({
+        error: 'Tag write in progress',
+        status: batch
+      });
+    }
+
+    const result = await writeBookTags(book.id, { backup });
+    res.json({ dry_run: false, backup, ...formatTagResult(result) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/books/batch-write-tags - Write (or preview) tags for many books in the background
+adminRouter.post('/books/batch-write-tags', (req, res, next) => {
+  try {
+    const { book_ids } = req.body;
+    const dryRun = req.body.dry_run !== false;
+    const backup = Boolean(req.body.backup);
+
+    if (book_ids !== undefined && book_ids !== null &&
+        (!Array.isArray(book_ids) || book_ids.some(id => !Number.isInteger(Number(id))))) {
+      throw new ValidationError('book_ids must be an array of book IDs');
+    }
+
+    if (!dryRun && !canWriteTags()) {
+      throw new ValidationError('ffmpeg is required to write tags');
+    }
+
+    const current = getBatchTagWriteStatus();
+    if (current.running) {
+      return res.status(409).json({
+        error: 'Tag write in progress',
+        status: current
+      });
+    }
+
+    const status = startBatchTagWrite({ bookIds: book_ids || null, dryRun, backup });
+
+    res.json({
+      message: dryRun ? 'Tag preview started' : 'Tag write started',
+      status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/books/batch-write-tags/status - Progress of the current or last batch tag write
+adminRouter.get('/books/batch-write-tags/status', (req, res, next) => {
+  try {
+    res.json({
+      ...getBatchTagWriteStatus(),
+      ffmpeg_available: canWriteTags()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/admin/metadata/cache-stats - Get cache statistics
 adminRouter.get('/metadata/cache-stats', (req, res, next) => {
   try {
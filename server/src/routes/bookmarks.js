@@ -0,0 +1,208 @@
+import { Router } from 'express';
+import { getDb } from '../database/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+export const bookmarksRouter = Router();
+
+// GET /api/bookmarks - User's bookmarks, optionally for one book (?book_id=)
+bookmarksRouter.get('/', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { book_id } = req.query;
+
+    let query = `
+      SELECT
+        bm.*,
+        b.title as book_title,
+        c.title as chapter_title
+      FROM bookmarks bm
+      JOIN books b ON bm.book_id = b.id
+      LEFT JOIN chapters c ON c.book_id = bm.book_id AND c.order_index = bm.chapter_index
+      WHERE bm.user_id = ?
+    `;
+    const params = [req.user.id];
+
+    if (book_id) {
+      query += ' AND bm.book_id = ?';
+      params.push(book_id);
+    }
+
+    query += ' ORDER BY bm.book_id ASC, bm.position_seconds ASC';
+
+    res.json(db.prepare(query).all(...params).map(formatBookmark));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/bookmarks - Create a bookmark
+bookmarksRouter.post('/', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { book_id, position_seconds, chapter_index, title, note } = req.body;
+
+    const bookId = Number(book_id);
+    if (book_id === undefined || book_id === null || book_id === '' || !Number.isInteger(bookId)) {
+      throw new ValidationError('book_id is required');
+    }
+
+    if (typeof position_seconds !== 'number' || !Number.isFinite(position_seconds) || position_seconds < 0) {
+      throw new ValidationError('Invalid position_seconds');
+    }
+
+    if (chapter_index !== undefined && (!Number.isInteger(chapter_index) || chapter_index < 0)) {
+      throw new ValidationError('Invalid chapter_index');
+    }
+
+    const book = db.prepare('SELECT id FROM books WHERE id = ?').get(bookId);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    const chapterIndex = chapter_index ?? findChapterIndex(db, book.id, position_seconds);
+    const transcriptText = findTranscriptSentence(db, book.id, chapterIndex, position_seconds);
+
+    const result = db.prepare(`
+      INSERT INTO bookmarks (user_id, book_id, position_seconds, chapter_index, title, note, transcript_text)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      book.id,
+      position_seconds,
+      chapterIndex,
+      title || null,
+      note || null,
+      transcriptText
+    );
+
+    res.status(201).json(getBookmark(db, result.lastInsertRowid, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/bookmarks/:id - Update a bookmark's title or note
+bookmarksRouter.put('/:id', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+    const { title, note } = req.body;
+
+    const bookmark = db.prepare('SELECT id FROM bookmarks WHERE id = ? AND user_id = ?').get(id, req.user.id);
+    if (!bookmark) {
+      throw new NotFoundError('Bookmark not found');
+    }
+
+    db.prepare(`
+      UPDATE bookmarks SET
+        title = COALESCE(?, title),
+        note = COALESCE(?, note),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(title ?? null, note ?? null, id);
+
+    res.json(getBookmark(db, id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/bookmarks/:id - Delete a bookmark
+bookmarksRouter.delete('/:id', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+
+    const result = db.prepare('DELETE FROM bookmarks WHERE id = ? AND user_id = ?').run(id, req.user.id);
+    if (result.changes === 0) {
+      throw new NotFoundError('Bookmark not found');
+    }
+
+    res.json({ message: 'Bookmark deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function getBookmark(db, id, userId) {
+  const bookmark = db.prepare(`
+    SELECT
+      bm.*,
+      b.title as book_title,
+      c.title as chapter_title
+    FROM bookmarks bm
+    JOIN books b ON bm.book_id = b.id
+    LEFT JOIN chapters c ON c.book_id = bm.book_id AND c.order_index = bm.chapter_index
+    WHERE bm.id = ? AND bm.user_id = ?
+  `).get(id, userId);
+
+  return formatBookmark(bookmark);
+}
+
+// Find the chapter containing a global position by summing chapter durations
+function findChapterIndex(db, bookId, positionSeconds) {
+  const chapters = db.prepare(`
+    SELECT order_index, duration_seconds
+    FROM chapters
+    WHERE book_id = ?
+    ORDER BY order_index ASC
+  `).all(bookId);
+
+  let accumulatedTime = 0;
+  for (const chapter of chapters) {
+    accumulatedTime += chapter.duration_seconds || 0;
+    if (accumulatedTime > positionSeconds) {
+      return chapter.order_index;
+    }
+  }
+
+  return chapters.length > 0 ? chapters[chapters.length - 1].order_index : 0;
+}
+
+// Get the transcript sentence being spoken at a global position, if the chapter is transcribed
+function findTranscriptSentence(db, bookId, chapterIndex, positionSeconds) {
+  const transcription = db.prepare(`
+    SELECT sentence_timestamps FROM audio_transcriptions
+    WHERE book_id = ? AND chapter_index = ?
+  `).get(bookId, chapterIndex);
+
+  if (!transcription) {
+    return null;
+  }
+
+  const { offset } = db.prepare(`
+    SELECT COALESCE(SUM(duration_seconds), 0) as offset
+    FROM chapters
+    WHERE book_id = ? AND order_index < ?
+  `).get(bookId, chapterIndex);
+
+  const chapterTime = positionSeconds - offset;
+  const sentences = JSON.parse(transcription.sentence_timestamps).sentences || [];
+
+  // Fall back to the last sentence that started before the position (pauses between sentences)
+  let match = null;
+  for (const sentence of sentences) {
+    if (sentence.start > chapterTime) break;
+    match = sentence;
+    if (chapterTime < sentence.end) break;
+  }
+
+  return match ? match.text.trim() : null;
+}
+
+function formatBookmark(bookmark) {
+  return {
+    id: bookmark.id,
+    book_id: bookmark.book_id,
+    book_title: bookmark.book_title,
+    position_seconds: bookmark.position_seconds,
+    chapter_index: bookmark.chapter_index,
+    chapter_title: bookmark.chapter_title || null,
+    title: bookmark.title,
+    note: bookmark.note,
+    transcript_text: bookmark.transcript_text,
+    created_at: bookmark.created_at,
+    updated_at: bookmark.updated_at
+  };
+}
@@ -1,11 +1,24 @@
 import { Router } from 'express';
-import path from 'path';
 import fs from 'fs';
-import mime from 'mime-types';
 import { getDb } from '../database/init.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
 import { config } from '../config/index.js';
+import { getAudioMimeType } from '../services/metadata/formats.js';
+import { parseMetadataSources } from '../services/metadata/sidecar.js';
+import { LOCKABLE_FIELDS, parseLockedFields } from '../services/metadata/locks.js';
+import {
+  HISTORY_FIELDS,
+  getMetadataSnapshot,
+  recordMetadataChange,
+  getMetadataHistory,
+  getMetadataHistoryEntry
+} from '../services/metadata/history.js';
+import { findOrCreateSeries } from '../services/scanner/index.js';
+import { BOOK_COLUMNS, BOOK_JOINS, formatBook, getFormattedBook } from '../services/books/serializer.js';
+import { buildMatchQuery, bookRankQuery, transcriptRankQuery, getSearchMatches } from '../services/search/index.js';
+import { STATUS_CONDITIONS, parseLibraryQuery } from '../services/search/query.js';
+import { FACET_NAMES, getFacetFilters, countFacet } from '../services/books/facets.js';
 
 export const booksRouter = Router();
 
@@ -14,119 +27,68 @@ booksRouter.get('/', authenticateToken, (req, res, next) => {
   try {
     const db = getDb();
     const {
-      search,
-      author,
-      series,
-      genre,
-      status,
-      sort = 'title',
       order = 'asc',
       limit = 50,
       offset = 0
     } = req.query;
 
-    let query = `
-      SELECT b.*,
-        s.name as series_name,
-        up.position_seconds,
-        up.current_chapter,
-        up.completed,
-        up.updated_at as progress_updated_at
-      FROM books b
-      LEFT JOIN series s ON b.series_id = s.id
-      LEFT JOIN user_progress up ON b.id = up.book_id AND up.user_id = ?
-      WHERE 1=1
-    `;
-    const params = [req.user.id];
-
-    // Search filter
-    if (search) {
-      query += ` AND (b.title LIKE ? OR b.author LIKE ? OR b.narrator LIKE ? OR b.description LIKE ?)`;
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
-
-    // Author filter
-    if (author) {
-      query += ` AND b.author LIKE ?`;
-      params.push(`%${author}%`);
-    }
-
-    // Series filter
-    if (series) {
-      query += ` AND b.series_id = ?`;
-      params.push(parseInt(series));
-    }
-
-    // Genre filter
-    if (genre) {
-      query += ` AND b.genre LIKE ?`;
-      params.push(`%${genre}%`);
-    }
-
-    // Status filter (in_progress, completed, not_started)
-    if (status === 'in_progress') {
-      query += ` AND up.position_seconds > 0 AND (up.completed = 0 OR up.completed IS NULL)`;
-    } else if (status === 'completed') {
-      query += ` AND up.completed = 1`;
-    } else if (status === 'not_started') {
-      query += ` AND (up.position_seconds IS NULL OR up.position_seconds = 0)`;
-    }
+    // Filters shared by the book list and the total count
+    const { match, searchTranscripts, conditions, params: conditionParams } = getBookFilters(req.query);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sort = req.query.sort || (match ? 'relevance' : 'title');
 
     // Sorting
     const validSortColumns = ['title', 'author', 'created_at', 'duration_seconds', 'publication_year'];
     const sortColumn = validSortColumns.includes(sort) ? `b.${sort}` : 'b.title';
     const sortOrder = order.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
 
-    if (sort === 'progress') {
-      query += ` ORDER BY COALESCE(up.position_seconds / NULLIF(b.duration_seconds, 0), 0) ${sortOrder}`;
+    let rankJoins = '';
+    const rankParams = [];
+    let orderBy;
+
+    if (sort === 'relevance' && match) {
+      // Best matches first: metadata matches, then books that only match in their transcript
+      rankJoins = `LEFT JOIN (${bookRankQuery()}) book_rank ON book_rank.book_id = b.id`;
+      rankParams.push(match);
+      orderBy = 'book_rank.rank IS NULL, book_rank.rank';
+
+      if (searchTranscripts) {
+        rankJoins += ` LEFT JOIN (${transcriptRankQuery()}) transcript_rank ON transcript_rank.book_id = b.id`;
+        rankParams.push(match);
+        orderBy += ', transcript_rank.rank';
+      }
+      orderBy += ', b.title ASC';
+    } else if (sort === 'progress') {
+      orderBy = `COALESCE(up.position_seconds / NULLIF(b.duration_seconds, 0), 0) ${sortOrder}`;
     } else {
-      query += ` ORDER BY ${sortColumn} ${sortOrder}`;
+      orderBy = `${sortColumn} ${sortOrder}`;
     }
 
-    query += ` LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), parseInt(offset));
-
-    const books = db.prepare(query).all(...params);
+    const books = db.prepare(`
+      SELECT ${BOOK_COLUMNS}
+      FROM books b
+      ${BOOK_JOINS}
+      ${rankJoins}
+      ${where}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `).all(req.user.id, ...rankParams, ...conditionParams, parseInt(limit), parseInt(offset));
 
     // Get total count for pagination
-    let countQuery = `
+    const { total } = db.prepare(`
       SELECT COUNT(*) as total
       FROM books b
-      LEFT JOIN user_progress up ON b.id = up.book_id AND up.user_id = ?
-      WHERE 1=1
-    `;
-    const countParams = [req.user.id];
-
-    if (search) {
-      countQuery += ` AND (b.title LIKE ? OR b.author LIKE ? OR b.narrator LIKE ? OR b.description LIKE ?)`;
-      const searchTerm = `%${search}%`;
-      countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
-    if (author) {
-      countQuery += ` AND b.author LIKE ?`;
-      countParams.push(`%${author}%`);
-    }
-    if (series) {
-      countQuery += ` AND b.series_id = ?`;
-      countParams.push(parseInt(series));
-    }
-    if (genre) {
-      countQuery += ` AND b.genre LIKE ?`;
-      countParams.push(`%${genre}%`);
-    }
-    if (status === 'in_progress') {
-      countQuery += ` AND up.position_seconds > 0 AND (up.completed = 0 OR up.completed IS NULL)`;
-    } else if (status === 'completed') {
-      countQuery += ` AND up.completed = 1`;
-    } else if (status === 'not_started') {
-      countQuery += ` AND (up.position_seconds IS NULL OR up.position_seconds = 0)`;
-    }
+      ${BOOK_JOINS}
+      ${where}
+    `).get(req.user.id, ...conditionParams);
 
-    const { total } = db.prepare(countQuery).get(...countParams);
+    // Where each book matched, with highlighted snippets
+    const matches = match
+      ? getSearchMatches(db, match, books.map(book => book.id), { transcripts: searchTranscripts })
+      : null;
 
     res.json({
-      books: books.map(formatBook),
+      books: books.map(book => matches ? { ...formatBook(book), search: matches.get(book.id) } : formatBook(book)),
       total,
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -136,30 +98,35 @@ booksRouter.get('/', authenticateToken, (req, res, next) => {
   }
 });
 
+// GET /api/books/facets - Values of each facet with how many books have them, among
+// books matching the same filters as GET /api/books
+booksRouter.get('/facets', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const facets = {};
+
+    for (const name of FACET_NAMES) {
+      // Ignore the facet's own selection, so its other values can still be added to it
+      facets[name] = countFacet(db, name, getBookFilters(req.query, name), req.user.id);
+    }
+
+    res.json(facets);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/books/:id - Book details
 booksRouter.get('/:id', authenticateToken, (req, res, next) => {
   try {
     const db = getDb();
-    const book = db.prepare(`
-      SELECT b.*,
-        s.name as series_name,
-        up.position_seconds,
-        up.current_chapter,
-        up.completed,
-        up.started_at,
-        up.completed_at,
-        up.updated_at as progress_updated_at
-      FROM books b
-      LEFT JOIN series s ON b.series_id = s.id
-      LEFT JOIN user_progress up ON b.id = up.book_id AND up.user_id = ?
-      WHERE b.id = ?
-    `).get(req.user.id, req.params.id);
+    const book = getFormattedBook(db, req.params.id, req.user.id);
 
     if (!book) {
       throw new NotFoundError('Book not found');
     }
 
-    res.json(formatBook(book));
+    res.json(book);
   } catch (error) {
     next(error);
   }
@@ -186,6 +153,34 @@ booksRouter.put('/:id', authenticateToken, requireAdmin, (req, res, next) => {
       throw new NotFoundError('Book not found');
     }
 
+    const before = getMetadataSnapshot(db, id);
+
+    // Remember which fields were edited by hand, and lock them so scans and enrichment keep the
+    // edits. Clients may send the whole book back, so only fields whose value changed count
+    const sources = parseMetadataSources(existingBook.metadata_sources);
+    const lockedFields = new Set(parseLockedFields(existingBook.locked_fields));
+    const edited = { title, author, narrator, description, publication_year, genre };
+    for (const [field, value] of Object.entries(edited)) {
+      if (value !== undefined && value !== null && !isSameValue(value, existingBook[field])) {
+        sources[field] = 'manual';
+        lockedFields.add(field);
+      }
+    }
+    const seriesChanged = series_id !== undefined && (
+      !isSameValue(series_id || null, existingBook.series_id) ||
+      !isSameValue(series_order || null, existingBook.series_order)
+    );
+    if (seriesChanged) {
+      if (series_id) {
+        sources.series = 'manual';
+        sources.series_order = 'manual';
+      } else {
+        delete sources.series;
+        delete sources.series_order;
+      }
+      lockedFields.add('series');
+    }
+
     db.prepare(`
       UPDATE books SET
         title = COALESCE(?, title),
@@ -196,6 +191,8 @@ booksRouter.put('/:id', authenticateToken, requireAdmin, (req, res, next) => {
         genre = COALESCE(?, genre),
         series_id = ?,
         series_order = ?,
+        metadata_sources = ?,
+        locked_fields = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `).run(
@@ -207,17 +204,131 @@ booksRouter.put('/:id', authenticateToken, requireAdmin, (req, res, next) => {
       genre,
       series_id || null,
       series_order || null,
+      JSON.stringify(sources),
+      JSON.stringify([...lockedFields]),
       id
     );
 
-    const updatedBook = db.prepare(`
-      SELECT b.*, s.name as series_name
-      FROM books b
-      LEFT JOIN series s ON b.series_id = s.id
-      WHERE b.id = ?
-    `).get(id);
+    recordMetadataChange(db, id, before, `user:${req.user.id}`);
+
+    res.json(getFormattedBook(db, id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/books/:id/locks - Set which fields scans and enrichment leave alone (admin)
+booksRouter.put('/:id/locks', authenticateToken, requireAdmin, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+    const { locked_fields } = req.body;
+
+    if (!Array.isArray(locked_fields)) {
+      throw new ValidationError('locked_fields must be an array of field names');
+    }
+
+    const unknown = locked_fields.filter(field => !LOCKABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown fields: ${unknown.join(', ')}. Must be among: ${LOCKABLE_FIELDS.join(', ')}`);
+    }
+
+    const result = db.prepare('UPDATE books SET locked_fields = ? WHERE id = ?')
+      .run(JSON.stringify([...new Set(locked_fields)]), id);
+    if (result.changes === 0) {
+      throw new NotFoundError('Book not found');
+    }
 
-    res.json(formatBook(updatedBook));
+    res.json(getFormattedBook(db, id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/books/:id/history - Metadata changes, newest first (admin)
+booksRouter.get('/:id/history', authenticateToken, requireAdmin, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+
+    const book = db.prepare('SELECT id FROM books WHERE id = ?').get(id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    res.json(getMetadataHistory(db, id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/books/:id/history/:historyId/revert - Restore the values from before a change (admin)
+// Reverts one field when `field` is given, otherwise every field in the change
+booksRouter.post('/:id/history/:historyId/revert', authenticateToken, requireAdmin, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id, historyId } = req.params;
+    const { field } = req.body || {};
+
+    const existingBook = db.prepare('SELECT * FROM books WHERE id = ?').get(id);
+    if (!existingBook) {
+      throw new NotFoundError('Book not found');
+    }
+
+    const entry = getMetadataHistoryEntry(db, id, historyId);
+    if (!entry) {
+      throw new NotFoundError('History entry not found');
+    }
+
+    if (field !== undefined && !(typeof field === 'string' && Object.hasOwn(entry.changes, field))) {
+      throw new ValidationError(`Field "${field}" was not changed in this entry`);
+    }
+
+    const fields = field !== undefined ? [field] : Object.keys(entry.changes);
+    const before = getMetadataSnapshot(db, id);
+
+    // A revert is a manual edit: mark the fields as such and lock them
+    const sources = parseMetadataSources(existingBook.metadata_sources);
+    const lockedFields = new Set(parseLockedFields(existingBook.locked_fields));
+
+    db.transaction(() => {
+      for (const name of fields) {
+        const value = entry.changes[name].before;
+
+        if (name === 'series') {
+          const seriesId = value ? findOrCreateSeries(db, value) : null;
+          db.prepare('UPDATE books SET series_id = ? WHERE id = ?').run(seriesId, id);
+        } else if (name === 'tags') {
+          db.prepare('UPDATE books SET tags = ? WHERE id = ?').run(value?.length ? JSON.stringify(value) : null, id);
+        } else if (HISTORY_FIELDS.includes(name)) {
+          db.prepare(`UPDATE books SET ${name} = ? WHERE id = ?`).run(value, id);
+        }
+
+        if (name !== 'api_description') {
+          if (value === null || value === undefined || value.length === 0) {
+            delete sources[name];
+          } else {
+            sources[name] = 'manual';
+          }
+        }
+        const lockName = name === 'series_order' ? 'series' : name;
+        if (LOCKABLE_FIELDS.includes(lockName)) {
+          lockedFields.add(lockName);
+        }
+      }
+
+      db.prepare(`
+        UPDATE books SET
+          metadata_sources = ?,
+          locked_fields = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(JSON.stringify(sources), JSON.stringify([...lockedFields]), id);
+
+      recordMetadataChange(db, id, before, `user:${req.user.id}`);
+    })();
+
+    res.json(getFormattedBook(db, id, req.user.id));
   } catch (error) {
     next(error);
   }
@@ -234,11 +345,16 @@ booksRouter.get('/:id/chapters', authenticateToken, (req, res, next) => {
       throw new NotFoundError('Book not found');
     }
 
+    // source_index points at the first chapter sharing the same audio file, so
+    // clients can reuse one stream for all virtual chapters of a single-file book
     const chapters = db.prepare(`
-      SELECT id, title, start_seconds, duration_seconds, order_index
-      FROM chapters
-      WHERE book_id = ?
-      ORDER BY order_index ASC
+      SELECT c.id, c.title, c.start_seconds, c.duration_seconds, c.order_index,
+        c.file_start_seconds, c.file_end_seconds,
+        (SELECT MIN(c2.order_index) FROM chapters c2
+          WHERE c2.book_id = c.book_id AND c2.file_path = c.file_path) as source_index
+      FROM chapters c
+      WHERE c.book_id = ?
+      ORDER BY c.order_index ASC
     `).all(id);
 
     res.json(chapters);
@@ -269,9 +385,17 @@ booksRouter.get('/:id/stream/:chapterIndex', authenticateToken, (req, res, next)
 
     const stat = fs.statSync(filePath);
     const fileSize = stat.size;
-    const mimeType = mime.lookup(filePath) || 'audio/mpeg';
+    const mimeType = getAudioMimeType(filePath);
     const range = req.headers.range;
 
+    // Chapters from embedded markers share one file; expose where this one lives in it
+    const offsetHeaders = chapter.file_end_seconds !== null
+      ? {
+        'X-Chapter-Start': String(chapter.file_start_seconds || 0),
+        'X-Chapter-End': String(chapter.file_end_seconds)
+      }
+      : {};
+
     if (range) {
       // Handle range requests for seeking
       const parts = range.replace(/bytes=/, '').split('-');
@@ -283,7 +407,8 @@ booksRouter.get('/:id/stream/:chapterIndex', authenticateToken, (req, res, next)
         'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         'Accept-Ranges': 'bytes',
         'Content-Length': chunkSize,
-        'Content-Type': mimeType
+        'Content-Type': mimeType,
+        ...offsetHeaders
       });
 
       fs.createReadStream(filePath, { start, end }).pipe(res);
@@ -291,7 +416,8 @@ booksRouter.get('/:id/stream/:chapterIndex', authenticateToken, (req, res, next)
       res.writeHead(200, {
         'Content-Length': fileSize,
         'Content-Type': mimeType,
-        'Accept-Ranges': 'bytes'
+        'Accept-Ranges': 'bytes',
+        ...offsetHeaders
       });
 
       fs.createReadStream(filePath).pipe(res);
@@ -301,50 +427,64 @@ booksRouter.get('/:id/stream/:chapterIndex', authenticateToken, (req, res, next)
   }
 });
 
-// Helper function to format book response
-function formatBook(book) {
-  const progress = book.duration_seconds > 0 && book.position_seconds
-    ? (book.position_seconds / book.duration_seconds) * 100
-    : 0;
-
-  // Determine cover URL (prefer API cover if available, otherwise local cover)
-  let coverUrl = null;
-  if (book.api_cover_url) {
-    // API cover is stored in api subfolder
-    coverUrl = `/covers/api/${path.basename(book.api_cover_url)}`;
-  } else if (book.cover_path) {
-    coverUrl = `/covers/${path.basename(book.cover_path)}`;
+/**
+ * Build the conditions for GET /api/books filters
+ * @param {Object} query - Request query string
+ * @param {string} [excludeFacet] - Facet filter to leave out
+ * @returns {{ match: string|null, searchTranscripts: boolean, conditions: string[], params: Array }}
+ */
+function getBookFilters(query, excludeFacet = null) {
+  const { search, transcripts = 'true', author, genre, status } = query;
+
+  // Fields like author:Sanderson or duration:>10h become conditions; the rest is
+  // full-text search, which doesn't filter anything if it has no words
+  let libraryQuery;
+  try {
+    libraryQuery = parseLibraryQuery(search);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+  const match = buildMatchQuery(libraryQuery.text);
+  const searchTranscripts = transcripts !== 'false';
+
+  const conditions = [];
+  const params = [];
+
+  if (match) {
+    conditions.push(searchTranscripts
+      ? `(b.id IN (SELECT rowid FROM books_fts WHERE books_fts MATCH ?)
+          OR b.id IN (SELECT book_id FROM transcripts_fts WHERE transcripts_fts MATCH ?))`
+      : `b.id IN (SELECT rowid FROM books_fts WHERE books_fts MATCH ?)`);
+    params.push(...(searchTranscripts ? [match, match] : [match]));
+  }
+
+  conditions.push(...libraryQuery.conditions);
+  params.push(...libraryQuery.params);
+
+  if (author) {
+    conditions.push(`b.author LIKE ?`);
+    params.push(`%${author}%`);
   }
 
-  return {
-    id: book.id,
-    title: book.title,
-    author: book.author,
-    narrator: book.narrator,
-    description: book.description,
-    duration_seconds: book.duration_seconds,
-    publication_year: book.publication_year,
-    genre: book.genre,
-    series_id: book.series_id,
-    series_name: book.series_name || null,
-    series_order: book.series_order,
-    cover_path: book.cover_path,
-    cover_url: coverUrl,
-    isbn: book.isbn || null,
-    publisher: book.publisher || null,
-    api_description: book.api_description || null,
-    metadata_source: book.metadata_source || null,
-    metadata_enriched_at: book.metadata_enriched_at || null,
-    created_at: book.created_at,
-    updated_at: book.updated_at,
-    progress: {
-      position_seconds: book.position_seconds || 0,
-      current_chapter: book.current_chapter || 0,
-      completed: Boolean(book.completed),
-      percentage: Math.round(progress * 100) / 100,
-      started_at: book.started_at,
-      completed_at: book.completed_at,
-      updated_at: book.progress_updated_at
-    }
-  };
+  if (genre) {
+    conditions.push(`b.genre LIKE ?`);
+    params.push(`%${genre}%`);
+  }
+
+  // Status filter (in_progress, completed, not_started, unfinished)
+  if (Object.hasOwn(STATUS_CONDITIONS, status)) {
+    conditions.push(`(${STATUS_CONDITIONS[status]})`);
+  }
+
+  // Facet filters: authors, narrators, series, genres, decades, languages and durations
+  const facetFilters = getFacetFilters(query, excludeFacet);
+  conditions.push(...facetFilters.conditions);
+  params.push(...facetFilters.params);
+
+  return { match, searchTranscripts, conditions, params };
+}
+
+// Body values may arrive as strings for numeric columns, such as "2010" for a publication year
+function isSameValue(value, current) {
+  return String(value ?? '') === String(current ?? '');
 }
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import path from 'path';
+import fs from 'fs';
+import { getDb } from '../database/init.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { config } from '../config/index.js';
+import {
+  COVER_THUMBNAIL_SIZES,
+  COVER_THUMBNAIL_FORMATS,
+  getBookCoverFile,
+  getCoverThumbnail,
+  getCoverVersion
+} from '../services/covers/index.js';
+
+export const coversRouter = Router();
+
+// Cover URLs carry a version that changes with the file, so a URL with the
+// current version can be cached for good
+const IMMUTABLE_CACHE = { maxAge: '1y', immutable: true };
+
+// Covers aren't authenticated, so <img> tags can load them
+
+// GET /covers/thumbs/:bookId/:size.:format - Resized cover, made on first request
+coversRouter.get('/thumbs/:bookId/:size.:format', async (req, res, next) => {
+  try {
+    const db = getDb();
+    const size = parseInt(req.params.size, 10);
+    const { format } = req.params;
+
+    if (!COVER_THUMBNAIL_SIZES.includes(size) || !COVER_THUMBNAIL_FORMATS.includes(format)) {
+      throw new NotFoundError('Thumbnail not found');
+    }
+
+    const book = db.prepare('SELECT id, cover_path, api_cover_url FROM books WHERE id = ?').get(req.params.bookId);
+    const coverFile = book ? getBookCoverFile(book) : null;
+    if (!coverFile) {
+      throw new NotFoundError('Cover not found');
+    }
+
+    const thumbnail = await getCoverThumbnail(book, size, format);
+
+    if (!thumbnail) {
+      // Without ffmpeg, or if resizing failed, the full-size cover still works
+      return res.sendFile(coverFile);
+    }
+
+    // A stale ?v= gets the current thumbnail, but only for this request
+    res.sendFile(thumbnail.path, req.query.v === thumbnail.version ? IMMUTABLE_CACHE : {});
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /covers/* with ?v= - Full-size cover at its current version; anything else
+// falls through to the static covers directory
+coversRouter.get('*', (req, res, next) => {
+  if (!req.query.v) return next();
+
+  let filePath;
+  try {
+    filePath = path.join(config.covers.path, decodeURIComponent(req.path));
+  } catch {
+    return next();
+  }
+
+  if (!filePath.startsWith(config.covers.path + path.sep) || !fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()) {
+    return next();
+  }
+
+  if (getCoverVersion(filePath) !== req.query.v) {
+    return next();
+  }
+
+  res.sendFile(filePath, IMMUTABLE_CACHE);
+});
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { getDb } from '../database/init.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { BOOK_COLUMNS, BOOK_JOINS, formatBook } from '../services/books/serializer.js';
 
 export const seriesRouter = Router();
 
@@ -45,13 +46,9 @@ seriesRouter.get('/:id', authenticateToken, (req, res, next) => {
     }
 
     const books = db.prepare(`
-      SELECT
-        b.*,
-        up.position_seconds,
-        up.current_chapter,
-        up.completed
+      SELECT ${BOOK_COLUMNS}
       FROM books b
-      LEFT JOIN user_progress up ON b.id = up.book_id AND up.user_id = ?
+      ${BOOK_JOINS}
       WHERE b.series_id = ?
       ORDER BY b.series_order ASC, b.title ASC
     `).all(req.user.id, id);
@@ -61,24 +58,7 @@ seriesRouter.get('/:id', authenticateToken, (req, res, next) => {
       name: series.name,
       description: series.description,
       created_at: series.created_at,
-      books: books.map(b => ({
-        id: b.id,
-        title: b.title,
-        author: b.author,
-        narrator: b.narrator,
-        series_order: b.series_order,
-        duration_seconds: b.duration_seconds,
-        cover_path: b.cover_path,
-        cover_url: b.cover_path ? `/covers/${b.cover_path.split('/').pop()}` : null,
-        progress: {
-          position_seconds: b.position_seconds || 0,
-          current_chapter: b.current_chapter || 0,
-          completed: Boolean(b.completed),
-          percentage: b.duration_seconds > 0 && b.position_seconds
-            ? Math.round((b.position_seconds / b.duration_seconds) * 10000) / 100
-            : 0
-        }
-      }))
+      books: books.map(formatBook)
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,130 @@
+import { Router } from 'express';
+import { getDb } from '../database/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { parseLibraryQuery } from '../services/search/query.js';
+
+export const shelvesRouter = Router();
+
+// Smart shelves are a user's saved library searches, listed with GET /api/books?search=<query>
+
+const MAX_NAME_LENGTH = 100;
+
+// GET /api/shelves - User's smart shelves
+shelvesRouter.get('/', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const shelves = db.prepare(`
+      SELECT id, name, query, created_at, updated_at
+      FROM smart_shelves
+      WHERE user_id = ?
+      ORDER BY name COLLATE NOCASE ASC
+    `).all(req.user.id);
+
+    res.json(shelves);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shelves - Save a search as a smart shelf
+shelvesRouter.post('/', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { name, query } = validateShelf(req.body);
+
+    if (findShelfByName(db, req.user.id, name)) {
+      throw new ValidationError('You already have a shelf with this name');
+    }
+
+    const result = db.prepare(`
+      INSERT INTO smart_shelves (user_id, name, query)
+      VALUES (?, ?, ?)
+    `).run(req.user.id, name, query);
+
+    res.status(201).json(getShelf(db, result.lastInsertRowid, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/shelves/:id - Rename a shelf or change its query
+shelvesRouter.put('/:id', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const shelf = getShelf(db, req.params.id, req.user.id);
+    if (!shelf) {
+      throw new NotFoundError('Shelf not found');
+    }
+
+    const { name, query } = validateShelf({
+      name: req.body.name ?? shelf.name,
+      query: req.body.query ?? shelf.query
+    });
+
+    const existing = findShelfByName(db, req.user.id, name);
+    if (existing && existing.id !== shelf.id) {
+      throw new ValidationError('You already have a shelf with this name');
+    }
+
+    db.prepare(`
+      UPDATE smart_shelves SET name = ?, query = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, query, shelf.id);
+
+    res.json(getShelf(db, shelf.id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shelves/:id - Delete a shelf
+shelvesRouter.delete('/:id', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const result = db.prepare('DELETE FROM smart_shelves WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+    if (result.changes === 0) {
+      throw new NotFoundError('Shelf not found');
+    }
+
+    res.json({ message: 'Shelf deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function validateShelf({ name, query }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+
+  if (!trimmedName) {
+    throw new ValidationError('Name is required');
+  }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Name can be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!trimmedQuery) {
+    throw new ValidationError('Query is required');
+  }
+
+  // Don't save a query the library can't run
+  try {
+    parseLibraryQuery(trimmedQuery);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  return { name: trimmedName, query: trimmedQuery };
+}
+
+function findShelfByName(db, userId, name) {
+  return db.prepare('SELECT id FROM smart_shelves WHERE user_id = ? AND name = ?').get(userId, name);
+}
+
+function getShelf(db, id, userId) {
+  return db.prepare(`
+    SELECT id, name, query, created_at, updated_at
+    FROM smart_shelves
+    WHERE id = ? AND user_id = ?
+  `).get(id, userId);
+}
@@ -1,34 +1,51 @@
 import { Router } from 'express';
 import { getDb } from '../database/init.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { BOOK_COLUMNS, BOOK_JOINS, formatBook } from '../services/books/serializer.js';
 
 export const statsRouter = Router();
 
-// GET /api/stats - Current user's statistics
+// Number of days, weeks and months in the listening aggregates
+const DEFAULT_DAYS = 30;
+const DEFAULT_WEEKS = 12;
+const DEFAULT_MONTHS = 12;
+const MAX_PERIODS = 366;
+
+// A single session can't plausibly last longer than this
+const MAX_SESSION_SECONDS = 24 * 60 * 60;
+
+// Days shown in the listening heatmap
+const HEATMAP_DAYS = 371;
+
+// Unfinished books untouched for this long count as abandoned
+const ABANDONED_AFTER_DAYS = 90;
+
+const DEFAULT_TOP_LIMIT = 5;
+
+// GET /api/stats - Current user's statistics (?tz_offset= minutes, as from Date#getTimezoneOffset)
 statsRouter.get('/', authenticateToken, (req, res, next) => {
   try {
     const db = getDb();
+    const tz = getTimezoneModifier(req.query.tz_offset);
 
-    // Get or create user stats
-    let stats = db.prepare('SELECT * FROM user_stats WHERE user_id = ?').get(req.user.id);
-
-    if (!stats) {
-      // Calculate stats from progress if not exists
-      const progressStats = db.prepare(`
-        SELECT
-          COALESCE(SUM(position_seconds), 0) as total_listening,
-          COALESCE(SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END), 0) as completed_count
-        FROM user_progress
-        WHERE user_id = ?
-      `).get(req.user.id);
-
-      db.prepare(`
-        INSERT INTO user_stats (user_id, total_listening_seconds, books_completed)
-        VALUES (?, ?, ?)
-      `).run(req.user.id, progressStats.total_listening, progressStats.completed_count);
-
-      stats = db.prepare('SELECT * FROM user_stats WHERE user_id = ?').get(req.user.id);
-    }
+    // Totals tracked before listening sessions were recorded
+    const legacyStats = db.prepare('SELECT total_listening_seconds FROM user_stats WHERE user_id = ?').get(req.user.id);
+
+    const sessionTotals = db.prepare(`
+      SELECT
+        COALESCE(SUM(listening_seconds), 0) as listening_seconds,
+        COUNT(*) as session_count,
+        MAX(ended_at) as last_listened_at
+      FROM listening_sessions
+      WHERE user_id = ?
+    `).get(req.user.id);
+
+    const completed = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM user_progress
+      WHERE user_id = ? AND completed = 1
+    `).get(req.user.id);
 
     // Get additional stats
     const currentlyReading = db.prepare(`
@@ -41,21 +58,18 @@ statsRouter.get('/', authenticateToken, (req, res, next) => {
 
     // Get recently completed
     const recentlyCompleted = db.prepare(`
-      SELECT
-        up.completed_at,
-        b.id as book_id,
-        b.title,
-        b.author,
-        b.cover_path
-      FROM user_progress up
-      JOIN books b ON up.book_id = b.id
-      WHERE up.user_id = ? AND up.completed = 1
+      SELECT ${BOOK_COLUMNS}
+      FROM books b
+      ${BOOK_JOINS}
+      WHERE up.completed = 1
       ORDER BY up.completed_at DESC
       LIMIT 5
     `).all(req.user.id);
 
+    const today = getLocalToday(db, tz);
+
     // Format listening time
-    const totalSeconds = stats.total_listening_seconds || 0;
+    const totalSeconds = Math.round((legacyStats?.total_listening_seconds || 0) + sessionTotals.listening_seconds);
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
 
@@ -64,19 +78,392 @@ statsRouter.get('/', authenticateToken, (req, res, next) => {
       total_listening_formatted: hours > 0
         ? `${hours}h ${minutes}m`
         : `${minutes}m`,
-      books_completed: stats.books_completed || 0,
+      books_completed: completed.count,
       currently_reading: currentlyReading.count,
       total_books_in_library: totalBooks.count,
-      recently_completed: recentlyCompleted.map(b => ({
-        book_id: b.book_id,
-        title: b.title,
-        author: b.author,
-        cover_url: b.cover_path ? `/covers/${b.cover_path.split('/').pop()}` : null,
-        completed_at: b.completed_at
+      session_count: sessionTotals.session_count,
+      last_listened_at: sessionTotals.last_listened_at,
+      listening: {
+        daily: getListeningAggregate(db, req.user.id, tz, 'day', today, parsePeriods(req.query.days, DEFAULT_DAYS)),
+        weekly: getListeningAggregate(db, req.user.id, tz, 'week', today, parsePeriods(req.query.weeks, DEFAULT_WEEKS)),
+        monthly: getListeningAggregate(db, req.user.id, tz, 'month', today, parsePeriods(req.query.months, DEFAULT_MONTHS))
+      },
+      recently_completed: recentlyCompleted.map(formatBook)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/stats/heatmap - Daily listening for the calendar heatmap, plus streaks
+statsRouter.get('/heatmap', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const tz = getTimezoneModifier(req.query.tz_offset);
+    const today = getLocalToday(db, tz);
+
+    const days = getListeningAggregate(db, req.user.id, tz, 'day', today, HEATMAP_DAYS);
+
+    // Streaks span all history, not just the heatmap window
+    const listeningDays = db.prepare(`
+      SELECT DISTINCT date(started_at, ?) as day
+      FROM listening_sessions
+      WHERE user_id = ? AND listening_seconds > 0
+      ORDER BY day ASC
+    `).all(tz, req.user.id).map(row => row.day);
+
+    res.json({
+      days,
+      max_seconds: Math.max(0, ...days.map(day => day.seconds)),
+      streaks: getStreaks(listeningDays, today)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/stats/trends - Listening hours per month and books finished per year
+statsRouter.get('/trends', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const tz = getTimezoneModifier(req.query.tz_offset);
+    const today = getLocalToday(db, tz);
+
+    const months = getListeningAggregate(db, req.user.id, tz, 'month', today, parsePeriods(req.query.months, DEFAULT_MONTHS));
+
+    const booksPerYear = db.prepare(`
+      SELECT strftime('%Y', completed_at, ?) as year, COUNT(*) as books
+      FROM user_progress
+      WHERE user_id = ? AND completed = 1 AND completed_at IS NOT NULL
+      GROUP BY year
+      ORDER BY year ASC
+    `).all(tz, req.user.id);
+
+    res.json({
+      hours_per_month: months.map(month => ({
+        period: month.period,
+        hours: Math.round((month.seconds / 3600) * 10) / 10
       })),
-      updated_at: stats.updated_at
+      books_per_year: booksPerYear
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/stats/top - Authors, narrators and genres the user spent the most time on
+statsRouter.get('/top', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_TOP_LIMIT, 50);
+
+    // Column names come from this fixed list, never from the request
+    const getTop = (column) => db.prepare(`
+      SELECT
+        b.${column} as name,
+        SUM(ls.listening_seconds) as seconds,
+        COUNT(DISTINCT b.id) as book_count
+      FROM listening_sessions ls
+      JOIN books b ON ls.book_id = b.id
+      WHERE ls.user_id = ? AND b.${column} IS NOT NULL AND b.${column} != ''
+      GROUP BY b.${column}
+      ORDER BY seconds DESC
+      LIMIT ?
+    `).all(req.user.id, limit).map(row => ({
+      name: row.name,
+      seconds: Math.round(row.seconds),
+      book_count: row.book_count
+    }));
+
+    res.json({
+      authors: getTop('author'),
+      narrators: getTop('narrator'),
+      genres: getTop('genre')
     });
   } catch (error) {
     next(error);
   }
 });
+
+// GET /api/stats/habits - Average playback speed and finished vs abandoned books
+statsRouter.get('/habits', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+
+    // Weighted by time, so long sessions count for more than quick check-ins
+    const speed = db.prepare(`
+      SELECT
+        SUM(listening_seconds * playback_rate) / SUM(listening_seconds) as average_speed,
+        SUM(listening_seconds) as listening_seconds
+      FROM listening_sessions
+      WHERE user_id = ? AND listening_seconds > 0
+    `).get(req.user.id);
+
+    const completion = db.prepare(`
+      SELECT
+        SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END) as finished,
+        SUM(CASE WHEN completed = 0 AND updated_at < datetime('now', ?) THEN 1 ELSE 0 END) as abandoned,
+        SUM(CASE WHEN completed = 0 AND updated_at >= datetime('now', ?) THEN 1 ELSE 0 END) as in_progress
+      FROM user_progress
+      WHERE user_id = ? AND (completed = 1 OR position_seconds > 0)
+    `).get(`-${ABANDONED_AFTER_DAYS} days`, `-${ABANDONED_AFTER_DAYS} days`, req.user.id);
+
+    res.json({
+      average_speed: speed.average_speed ? Math.round(speed.average_speed * 100) / 100 : null,
+      // Book time covered, as opposed to wall-clock time spent listening
+      content_seconds: Math.round((speed.listening_seconds || 0) * (speed.average_speed || 1)),
+      finished: completion.finished || 0,
+      abandoned: completion.abandoned || 0,
+      in_progress: completion.in_progress || 0,
+      abandoned_after_days: ABANDONED_AFTER_DAYS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/stats/sessions - Listening log, newest first (?book_id=, ?limit=)
+statsRouter.get('/sessions', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    let query = `
+      SELECT ls.*, b.title as book_title, b.author as book_author
+      FROM listening_sessions ls
+      JOIN books b ON ls.book_id = b.id
+      WHERE ls.user_id = ?
+    `;
+    const params = [req.user.id];
+
+    if (req.query.book_id) {
+      query += ' AND ls.book_id = ?';
+      params.push(req.query.book_id);
+    }
+
+    query += ' ORDER BY ls.started_at DESC LIMIT ?';
+    params.push(limit);
+
+    res.json(db.prepare(query).all(...params).map(formatSession));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/stats/sessions - Report a listening session
+statsRouter.post('/sessions', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { book_id, start_position, end_position, started_at, ended_at, playback_rate, device } = req.body;
+
+    const book = db.prepare('SELECT id FROM books WHERE id = ?').get(book_id);
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+
+    const session = validateSession({ start_position, end_position, started_at, ended_at, playback_rate });
+
+    const result = db.prepare(`
+      INSERT INTO listening_sessions (
+        user_id, book_id, start_position, end_position, started_at, ended_at,
+        listening_seconds, playback_rate, device
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      book.id,
+      session.startPosition,
+      session.endPosition,
+      session.startedAt,
+      session.endedAt,
+      session.listeningSeconds,
+      session.playbackRate,
+      typeof device === 'string' ? device.slice(0, 100) : null
+    );
+
+    const created = db.prepare('SELECT * FROM listening_sessions WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json(formatSession(created));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/stats/sessions/:id - Extend a session that is still in progress
+statsRouter.put('/sessions/:id', authenticateToken, (req, res, next) => {
+  try {
+    const db = getDb();
+    const { id } = req.params;
+    const { end_position, ended_at, playback_rate } = req.body;
+
+    const existing = db.prepare('SELECT * FROM listening_sessions WHERE id = ? AND user_id = ?').get(id, req.user.id);
+    if (!existing) {
+      throw new NotFoundError('Session not found');
+    }
+
+    const session = validateSession({
+      start_position: existing.start_position,
+      end_position,
+      started_at: existing.started_at.replace(' ', 'T') + 'Z',
+      ended_at,
+      playback_rate: playback_rate ?? existing.playback_rate
+    });
+
+    db.prepare(`
+      UPDATE listening_sessions SET
+        end_position = ?,
+        ended_at = ?,
+        listening_seconds = ?,
+        playback_rate = ?
+      WHERE id = ?
+    `).run(session.endPosition, session.endedAt, session.listeningSeconds, session.playbackRate, id);
+
+    const updated = db.prepare('SELECT * FROM listening_sessions WHERE id = ?').get(id);
+    res.json(formatSession(updated));
+  } catch (error) {
+    next(error);
+  }
+});
+
+function validateSession({ start_position, end_position, started_at, ended_at, playback_rate }) {
+  if (typeof start_position !== 'number' || start_position < 0) {
+    throw new ValidationError('Invalid start_position');
+  }
+  if (typeof end_position !== 'number' || end_position < 0) {
+    throw new ValidationError('Invalid end_position');
+  }
+
+  const startedAt = new Date(started_at);
+  const endedAt = new Date(ended_at);
+  if (isNaN(startedAt.getTime()) || isNaN(endedAt.getTime())) {
+    throw new ValidationError('started_at and ended_at must be valid timestamps');
+  }
+
+  const listeningSeconds = (endedAt.getTime() - startedAt.getTime()) / 1000;
+  if (listeningSeconds < 0 || listeningSeconds > MAX_SESSION_SECONDS) {
+    throw new ValidationError('Invalid session duration');
+  }
+
+  if (playback_rate !== undefined && (typeof playback_rate !== 'number' || playback_rate <= 0)) {
+    throw new ValidationError('Invalid playback_rate');
+  }
+
+  return {
+    startPosition: start_position,
+    endPosition: end_position,
+    startedAt: toSqlTimestamp(startedAt),
+    endedAt: toSqlTimestamp(endedAt),
+    listeningSeconds,
+    playbackRate: playback_rate ?? 1
+  };
+}
+
+// Sum listening time per local day, week (starting Monday) or month, including empty periods
+function getListeningAggregate(db, userId, tz, unit, today, periods) {
+  const keys = getPeriodKeys(unit, today, periods);
+  const periodExpr = {
+    day: 'date(started_at, ?)',
+    week: "date(started_at, ?, 'weekday 0', '-6 days')",
+    month: "strftime('%Y-%m', started_at, ?)"
+  }[unit];
+
+  const rows = db.prepare(`
+    SELECT
+      ${periodExpr} as period,
+      SUM(listening_seconds) as seconds,
+      COUNT(*) as sessions
+    FROM listening_sessions
+    WHERE user_id = ? AND ${periodExpr} >= ?
+    GROUP BY period
+  `).all(tz, userId, tz, keys[0]);
+
+  const byPeriod = new Map(rows.map(row => [row.period, row]));
+
+  return keys.map(period => ({
+    period,
+    seconds: Math.round(byPeriod.get(period)?.seconds || 0),
+    sessions: byPeriod.get(period)?.sessions || 0
+  }));
+}
+
+// Oldest-first period keys ending with the one containing today
+function getPeriodKeys(unit, today, periods) {
+  const date = new Date(`${today}T00:00:00Z`);
+  const keys = [];
+
+  if (unit === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  if (unit === 'month') {
+    date.setUTCDate(1);
+  }
+
+  for (let i = 0; i < periods; i++) {
+    keys.unshift(unit === 'month'
+      ? date.toISOString().slice(0, 7)
+      : date.toISOString().slice(0, 10));
+
+    if (unit === 'day') date.setUTCDate(date.getUTCDate() - 1);
+    if (unit === 'week') date.setUTCDate(date.getUTCDate() - 7);
+    if (unit === 'month') date.setUTCMonth(date.getUTCMonth() - 1);
+  }
+
+  return keys;
+}
+
+// Current streak counts back from today, or from yesterday if nothing was played yet today
+function getStreaks(listeningDays, today) {
+  const dayNumber = (day) => Math.round(new Date(`${day}T00:00:00Z`).getTime() / 86400000);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of listeningDays) {
+    const number = dayNumber(day);
+    run = previous !== null && number === previous + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = number;
+  }
+
+  const todayNumber = dayNumber(today);
+  const current = previous !== null && todayNumber - previous <= 1 ? run : 0;
+
+  return { current, longest };
+}
+
+function parsePeriods(value, defaultValue) {
+  const periods = parseInt(value) || defaultValue;
+  return Math.max(1, Math.min(periods, MAX_PERIODS));
+}
+
+// SQLite modifier turning stored UTC timestamps into the client's local time
+function getTimezoneModifier(tzOffset) {
+  const offset = parseInt(tzOffset);
+  if (!Number.isFinite(offset) || Math.abs(offset) > 14 * 60) {
+    return '+0 minutes';
+  }
+  return `${-offset} minutes`;
+}
+
+function getLocalToday(db, tz) {
+  return db.prepare("SELECT date('now', ?) as today").get(tz).today;
+}
+
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatSession(session) {
+  return {
+    id: session.id,
+    book_id: session.book_id,
+    book_title: session.book_title,
+    book_author: session.book_author,
+    start_position: session.start_position,
+    end_position: session.end_position,
+    started_at: session.started_at,
+    ended_at: session.ended_at,
+    listening_seconds: session.listening_seconds,
+    playback_rate: session.playback_rate,
+    device: session.device
+  };
+}
@@ -0,0 +1,112 @@
+import { Router } from 'express';
+import fs from 'fs';
+import { getDb } from '../database/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import {
+  TRANSCODE_BITRATES,
+  isTranscodingEnabled,
+  buildPlaylist,
+  getSegment,
+  getSegmentCount
+} from '../services/transcoder/index.js';
+
+export const streamingRouter = Router();
+
+// GET /api/streaming/options - Whether transcoded streams are offered, and at which bitrates
+streamingRouter.get('/options', authenticateToken, (req, res, next) => {
+  try {
+    const enabled = isTranscodingEnabled();
+
+    res.json({
+      transcoding_enabled: enabled,
+      bitrates: enabled ? TRANSCODE_BITRATES : []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/streaming/books/:id/:chapterIndex/:bitrate/index.m3u8 - HLS playlist for a chapter's audio file
+streamingRouter.get('/books/:id/:chapterIndex/:bitrate/index.m3u8', authenticateToken, (req, res, next) => {
+  try {
+    const source = getTranscodeSource(req.params);
+
+    // Audio elements can't send headers, so segment requests carry the token too
+    const query = req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : '';
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache'
+    });
+    res.send(buildPlaylist(source.fileDuration, query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/streaming/books/:id/:chapterIndex/:bitrate/segments/:segment - One transcoded segment
+streamingRouter.get('/books/:id/:chapterIndex/:bitrate/segments/:segment', authenticateToken, async (req, res, next) => {
+  try {
+    const source = getTranscodeSource(req.params);
+
+    const match = req.params.segment.match(/^(\d+)\.ts$/);
+    const segment = match ? parseInt(match[1], 10) : -1;
+    if (segment < 0 || segment >= getSegmentCount(source.fileDuration)) {
+      throw new NotFoundError('Segment not found');
+    }
+
+    const segmentPath = await getSegment({ ...source, segment });
+
+    res.sendFile(segmentPath, {
+      headers: { 'Content-Type': 'video/mp2t' },
+      maxAge: '1d'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve the audio file and transcode settings behind a playlist or segment URL
+function getTranscodeSource({ id, chapterIndex, bitrate }) {
+  if (!isTranscodingEnabled()) {
+    throw new NotFoundError('Transcoding is not enabled');
+  }
+
+  const kbps = parseInt(bitrate, 10);
+  if (!TRANSCODE_BITRATES.includes(kbps)) {
+    throw new ValidationError(`Invalid bitrate. Must be one of: ${TRANSCODE_BITRATES.join(', ')}`);
+  }
+
+  const db = getDb();
+  const chapter = db.prepare(`
+    SELECT * FROM chapters
+    WHERE book_id = ? AND order_index = ?
+  `).get(id, parseInt(chapterIndex, 10));
+
+  if (!chapter) {
+    throw new NotFoundError('Chapter not found');
+  }
+
+  if (!fs.existsSync(chapter.file_path)) {
+    throw new NotFoundError('Audio file not found');
+  }
+
+  // Chapters from embedded markers share a file; the stream covers all of it
+  const { file_duration } = db.prepare(`
+    SELECT MAX(COALESCE(file_end_seconds, duration_seconds)) as file_duration
+    FROM chapters
+    WHERE book_id = ? AND file_path = ?
+  `).get(id, chapter.file_path);
+
+  if (!(file_duration > 0)) {
+    throw new NotFoundError('Audio duration unknown');
+  }
+
+  return {
+    filePath: chapter.file_path,
+    bookId: chapter.book_id,
+    bitrate: kbps,
+    fileDuration: file_duration
+  };
+}
@@ -0,0 +1,138 @@
+import { BOOK_JOINS } from './serializer.js';
+
+/**
+ * Book Facets
+ * Distinct values of book fields with how many books have each, for narrowing the
+ * library down. Each facet is also a GET /api/books filter of the same name that
+ * takes one or more values
+ */
+
+// Length buckets, in seconds; a book is in the first bucket it's shorter than
+const DURATION_BUCKETS = [
+  { value: 'under_1h', label: 'Under 1 hour', max: 3600 },
+  { value: '1h_5h', label: '1 to 5 hours', max: 5 * 3600 },
+  { value: '5h_10h', label: '5 to 10 hours', max: 10 * 3600 },
+  { value: '10h_20h', label: '10 to 20 hours', max: 20 * 3600 },
+  { value: 'over_20h', label: 'Over 20 hours', max: null }
+];
+
+const DURATION_BUCKET_SQL = `CASE
+  ${DURATION_BUCKETS.filter(bucket => bucket.max).map(bucket => `WHEN b.duration_seconds < ${bucket.max} THEN '${bucket.value}'`).join('\n  ')}
+  ELSE '${DURATION_BUCKETS[DURATION_BUCKETS.length - 1].value}'
+END`;
+
+/**
+ * @typedef {Object} FacetValue
+ * @property {string|number} value - What to pass back in the filter
+ * @property {string} label
+ * @property {number} count - Matching books with this value
+ */
+
+// Keyed by filter name. expression is the value a book is grouped by, and only books
+// where present is true are counted; parse turns a query string value into a value
+const FACETS = {
+  authors: {
+    expression: 'b.author',
+    present: "b.author IS NOT NULL AND b.author != ''",
+    parse: value => value
+  },
+  narrators: {
+    expression: 'b.narrator',
+    present: "b.narrator IS NOT NULL AND b.narrator != ''",
+    parse: value => value
+  },
+  series: {
+    expression: 'b.series_id',
+    label: 'MAX(s.name)',
+    present: 'b.series_id IS NOT NULL',
+    parse: parseInteger
+  },
+  genres: {
+    expression: 'b.genre',
+    present: "b.genre IS NOT NULL AND b.genre != ''",
+    parse: value => value
+  },
+  decades: {
+    expression: '(b.publication_year / 10) * 10',
+    present: 'b.publication_year IS NOT NULL AND b.publication_year > 0',
+    parse: parseInteger,
+    formatLabel: decade => `${decade}s`,
+    // Oldest first rather than most common first
+    order: 'value ASC'
+  },
+  languages: {
+    expression: 'b.language',
+    present: "b.language IS NOT NULL AND b.language != ''",
+    parse: value => value
+  },
+  durations: {
+    expression: DURATION_BUCKET_SQL,
+    present: 'b.duration_seconds > 0',
+    parse: value => DURATION_BUCKETS.some(bucket => bucket.value === value) ? value : null,
+    formatLabel: value => DURATION_BUCKETS.find(bucket => bucket.value === value).label,
+    // Shortest first
+    order: `CASE value ${DURATION_BUCKETS.map((bucket, index) => `WHEN '${bucket.value}' THEN ${index}`).join(' ')} END`
+  }
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+/**
+ * Build conditions for the facet filters in a request's query string
+ * @param {Object} query - Query string, where each facet name has one or more values
+ * @param {string} [exclude] - Facet to leave out
+ * @returns {{ conditions: string[], params: Array }}
+ */
+export function getFacetFilters(query, exclude = null) {
+  const conditions = [];
+  const params = [];
+
+  for (const [name, facet] of Object.entries(FACETS)) {
+    if (name === exclude) continue;
+
+    const values = [].concat(query[name] ?? [])
+      .filter(value => typeof value === 'string' && value !== '')
+      .map(facet.parse)
+      .filter(value => value !== null);
+    if (values.length === 0) continue;
+
+    conditions.push(`${facet.expression} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Count the books with each value of a facet
+ * @param {Object} db - Database connection
+ * @param {string} name - Facet name
+ * @param {Object} filters
+ * @param {string[]} filters.conditions - Conditions books must meet, for a "books b" query with BOOK_JOINS
+ * @param {Array} filters.params - Parameters for the conditions
+ * @param {number} userId - User whose progress the conditions refer to
+ * @returns {FacetValue[]} - Most common first, except for decades and durations
+ */
+export function countFacet(db, name, { conditions, params }, userId) {
+  const facet = FACETS[name];
+
+  const rows = db.prepare(`
+    SELECT ${facet.expression} AS value, ${facet.label || facet.expression} AS label, COUNT(*) AS count
+    FROM books b
+    ${BOOK_JOINS}
+    WHERE ${[facet.present, ...conditions].join(' AND ')}
+    GROUP BY value
+    ORDER BY ${facet.order || 'count DESC, label COLLATE NOCASE ASC'}
+  `).all(userId, ...params);
+
+  return rows.map(row => ({
+    value: row.value,
+    label: facet.formatLabel ? facet.formatLabel(row.value) : String(row.label ?? row.value),
+    count: row.count
+  }));
+}
+
+function parseInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
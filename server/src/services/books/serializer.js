@@ -0,0 +1,155 @@
+import { parseMetadataSources } from '../metadata/sidecar.js';
+import { parseLockedFields } from '../metadata/locks.js';
+import { getBookCover } from '../covers/index.js';
+
+/**
+ * Book Serializer
+ * The single shape every route returns books in. Query books with BOOK_COLUMNS
+ * and BOOK_JOINS so formatBook() has everything it needs
+ */
+
+/**
+ * A user's progress through a book; zeros and nulls when they haven't started it
+ * @typedef {Object} BookProgress
+ * @property {number} position_seconds - Position in the whole book
+ * @property {number} current_chapter - Chapter index
+ * @property {boolean} completed
+ * @property {number|null} playback_rate - Speed the user plays this book at
+ * @property {number} percentage - 0-100, to two decimals
+ * @property {number} time_remaining - Listening seconds left at playback_rate
+ * @property {string|null} started_at
+ * @property {string|null} completed_at
+ * @property {string|null} updated_at
+ */
+
+/**
+ * Cover thumbnail URLs by width in pixels (150, 300, 600)
+ * @typedef {Object<string, { webp: string, jpg: string }>} BookCoverThumbnails
+ */
+
+/**
+ * @typedef {Object} Book
+ * @property {number} id
+ * @property {string} title
+ * @property {string|null} author
+ * @property {string|null} narrator
+ * @property {string|null} description
+ * @property {number} duration_seconds
+ * @property {number|null} publication_year
+ * @property {string|null} genre
+ * @property {number|null} series_id
+ * @property {string|null} series_name
+ * @property {number|null} series_order
+ * @property {string|null} cover_url - Full-size cover, versioned so it can be cached until it changes
+ * @property {BookCoverThumbnails|null} cover_thumbnails
+ * @property {string|null} isbn
+ * @property {string|null} asin
+ * @property {string|null} publisher
+ * @property {string|null} language
+ * @property {string[]} tags
+ * @property {string|null} api_description
+ * @property {string|null} metadata_source - API the book was last enriched from
+ * @property {string|null} metadata_enriched_at
+ * @property {Object<string, string>} metadata_sources - Where each field's value came from
+ * @property {string[]} locked_fields
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {BookProgress} progress
+ */
+
+// Columns formatBook() reads from a "books b" query
+export const BOOK_COLUMNS = `
+  b.*,
+  s.name as series_name,
+  up.position_seconds,
+  up.current_chapter,
+  up.completed,
+  up.playback_rate,
+  up.started_at,
+  up.completed_at,
+  up.updated_at as progress_updated_at
+`;
+
+// Joins for BOOK_COLUMNS; takes the user ID as a parameter
+export const BOOK_JOINS = `
+  LEFT JOIN series s ON b.series_id = s.id
+  LEFT JOIN user_progress up ON b.id = up.book_id AND up.user_id = ?
+`;
+
+/**
+ * Format a book row for API responses
+ * @param {Object} book - Row selected with BOOK_COLUMNS
+ * @returns {Book}
+ */
+export function formatBook(book) {
+  const duration = book.duration_seconds || 0;
+  const position = book.position_seconds || 0;
+  const progress = duration > 0 ? (position / duration) * 100 : 0;
+  const cover = getBookCover(book);
+
+  return {
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    narrator: book.narrator,
+    description: book.description,
+    duration_seconds: book.duration_seconds,
+    publication_year: book.publication_year,
+    genre: book.genre,
+    series_id: book.series_id,
+    series_name: book.series_name || null,
+    series_order: book.series_order,
+    cover_url: cover?.url || null,
+    cover_thumbnails: cover?.thumbnails || null,
+    isbn: book.isbn || null,
+    asin: book.asin || null,
+    publisher: book.publisher || null,
+    language: book.language || null,
+    tags: parseTags(book.tags),
+    api_description: book.api_description || null,
+    metadata_source: book.metadata_source || null,
+    metadata_enriched_at: book.metadata_enriched_at || null,
+    metadata_sources: parseMetadataSources(book.metadata_sources),
+    locked_fields: parseLockedFields(book.locked_fields),
+    created_at: book.created_at,
+    updated_at: book.updated_at,
+    progress: {
+      position_seconds: position,
+      current_chapter: book.current_chapter || 0,
+      completed: Boolean(book.completed),
+      playback_rate: book.playback_rate || null,
+      percentage: Math.round(progress * 100) / 100,
+      time_remaining: Math.max(duration - position, 0) / (book.playback_rate || 1),
+      started_at: book.started_at || null,
+      completed_at: book.completed_at || null,
+      updated_at: book.progress_updated_at || null
+    }
+  };
+}
+
+/**
+ * Load and format one book
+ * @param {Object} db - Database connection
+ * @param {number} bookId - Book ID
+ * @param {number} userId - User whose progress to include
+ * @returns {Book|null}
+ */
+export function getFormattedBook(db, bookId, userId) {
+  const book = db.prepare(`
+    SELECT ${BOOK_COLUMNS}
+    FROM books b
+    ${BOOK_JOINS}
+    WHERE b.id = ?
+  `).get(userId, bookId);
+
+  return book ? formatBook(book) : null;
+}
+
+function parseTags(value) {
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,607 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { spawn } from 'child_process';
+import * as musicMetadata from 'music-metadata';
+import { config } from '../../config/index.js';
+import { detectFfmpeg } from '../transcoder/index.js';
+import { parseLockedFields } from '../metadata/locks.js';
+
+/**
+ * Cover Service
+ * Finds cover candidates for a book, sets uploaded or imported covers, and
+ * makes the resized thumbnails the library grid loads
+ */
+
+// Thumbnail widths in pixels, and the formats each is made in
+export const COVER_THUMBNAIL_SIZES = [150, 300, 600];
+export const COVER_THUMBNAIL_FORMATS = ['webp', 'jpg'];
+
+// Largest cover accepted from an upload or URL
+export const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+const FOLDER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+// ffmpeg runs one process per thumbnail; a page of covers shouldn't start dozens at once
+const MAX_THUMBNAIL_JOBS = 2;
+const THUMBNAIL_TIMEOUT_MS = 30 * 1000;
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_FETCH_REDIRECTS = 5;
+const BLOCKED_ADDRESS_MESSAGE = 'URLs pointing at local or private network addresses are not allowed';
+
+// Addresses a cover URL may not point at: loopback, private, link-local (including cloud
+// metadata services), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const thumbnailJobs = new Map();
+const thumbnailQueue = [];
+let runningThumbnailJobs = 0;
+
+/**
+ * Get the cover file a book displays: the API cover if there is one, otherwise the local cover
+ * @param {Object} book - Book row with api_cover_url and cover_path
+ * @returns {string|null} - Path of an existing file
+ */
+export function getBookCoverFile(book) {
+  return [book.api_cover_url, book.cover_path].find(p => p && fs.existsSync(p)) || null;
+}
+
+/**
+ * Resolve the URLs a book's cover is served from. Every URL carries a version
+ * that changes when the cover file does, so clients can cache them for good
+ * @param {Object} book - Book row with id, api_cover_url and cover_path
+ * @returns {Object|null} - { url, thumbnails: { [size]: { webp, jpg } } }, or null without a cover
+ */
+export function getBookCover(book) {
+  const coverFile = getBookCoverFile(book);
+  if (!coverFile) return null;
+
+  const relativePath = path.relative(config.covers.path, coverFile);
+  // Only files in the covers directory are served
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+
+  const version = getCoverVersion(coverFile);
+  const thumbnails = {};
+  for (const size of COVER_THUMBNAIL_SIZES) {
+    thumbnails[size] = {};
+    for (const format of COVER_THUMBNAIL_FORMATS) {
+      thumbnails[size][format] = `/covers/thumbs/${book.id}/${size}.${format}?v=${version}`;
+    }
+  }
+
+  return {
+    url: `/covers/${relativePath.split(path.sep).map(encodeURIComponent).join('/')}?v=${version}`,
+    thumbnails
+  };
+}
+
+/**
+ * Get a thumbnail of a book's cover, making it if needed
+ * @param {Object} book - Book row with id, api_cover_url and cover_path
+ * @param {number} size - One of COVER_THUMBNAIL_SIZES
+ * @param {string} format - One of COVER_THUMBNAIL_FORMATS
+ * @returns {Promise<Object|null>} - { path, version }, or null when the book has no cover or it can't be resized
+ */
+export async function getCoverThumbnail(book, size, format) {
+  const coverFile = getBookCoverFile(book);
+  if (!coverFile || !detectFfmpeg().available) return null;
+
+  const version = getCoverVersion(coverFile);
+  const thumbnailPath = path.join(getThumbnailsDir(), `${book.id}-${size}-${version}.${format}`);
+
+  if (fs.existsSync(thumbnailPath)) {
+    return { path: thumbnailPath, version };
+  }
+
+  // Requests for the same thumbnail share one ffmpeg run
+  if (!thumbnailJobs.has(thumbnailPath)) {
+    const job = queueThumbnailJob(() => makeThumbnail(coverFile, thumbnailPath, size, format))
+      .then(() => {
+        removeOldThumbnails(book.id, size, format, version);
+        return { path: thumbnailPath, version };
+      })
+      .catch(error => {
+        console.error(`[Covers] Could not make ${size}px ${format} thumbnail for book ${book.id}:`, error.message);
+        return null;
+      })
+      .finally(() => thumbnailJobs.delete(thumbnailPath));
+
+    thumbnailJobs.set(thumbnailPath, job);
+  }
+
+  return thumbnailJobs.get(thumbnailPath);
+}
+
+/**
+ * Find every image that could be a book's cover: images in its folder and pictures embedded in its audio files
+ * @param {Object} db - Database connection
+ * @param {Object} book - Book row
+ * @returns {Promise<Object[]>} - [{ id, source, label, url, format, width, height, bytes, current }]
+ */
+export async function findCoverCandidates(db, book) {
+  const candidatesDir = getCandidatesDir(book.id);
+  fs.rmSync(candidatesDir, { recursive: true, force: true });
+  fs.mkdirSync(candidatesDir, { recursive: true });
+
+  const currentFile = getBookCoverFile(book);
+  const currentHash = currentFile ? hashData(fs.readFileSync(currentFile)) : null;
+  const candidates = new Map();
+
+  const addCandidate = (data, source, label) => {
+    const info = getImageInfo(data);
+    if (!info) return;
+
+    const id = hashData(data);
+    // The same picture is often embedded in every file of a book
+    if (candidates.has(id)) return;
+
+    fs.writeFileSync(path.join(candidatesDir, `${id}.${info.format}`), data);
+    candidates.set(id, {
+      id,
+      source,
+      label,
+      url: `/covers/candidates/${book.id}/${id}.${info.format}`,
+      format: info.format,
+      width: info.width,
+      height: info.height,
+      bytes: data.length,
+      current: id === currentHash
+    });
+  };
+
+  if (book.folder_path && fs.existsSync(book.folder_path)) {
+    const images = fs.readdirSync(book.folder_path)
+      .filter(name => FOLDER_IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort();
+
+    for (const name of images) {
+      try {
+        addCandidate(fs.readFileSync(path.join(book.folder_path, name)), 'folder', name);
+      } catch (error) {
+        console.error(`[Covers] Could not read ${name}:`, error.message);
+      }
+    }
+  }
+
+  const files = db.prepare(`
+    SELECT file_path FROM chapters WHERE book_id = ? GROUP BY file_path ORDER BY MIN(order_index)
+  `).all(book.id).map(row => row.file_path);
+
+  for (const file of files) {
+    try {
+      const metadata = await musicMetadata.parseFile(file);
+      for (const picture of metadata.common.picture || []) {
+        addCandidate(picture.data, 'embedded', picture.description || picture.type || path.basename(file));
+      }
+    } catch (error) {
+      console.error(`[Covers] Could not read pictures from ${file}:`, error.message);
+    }
+  }
+
+  return [...candidates.values()];
+}
+
+/**
+ * Read a candidate found by findCoverCandidates()
+ * @param {number} bookId - Book ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {Buffer|null}
+ */
+export function readCoverCandidate(bookId, candidateId) {
+  if (!/^[a-f0-9]{32}$/.test(candidateId)) return null;
+
+  const candidatesDir = getCandidatesDir(bookId);
+  const name = fs.existsSync(candidatesDir)
+    ? fs.readdirSync(candidatesDir).find(file => file.startsWith(`${candidateId}.`))
+    : null;
+
+  return name ? fs.readFileSync(path.join(candidatesDir, name)) : null;
+}
+
+/**
+ * Download an image to use as a cover
+ * @param {string} url - http(s) URL on a public address
+ * @returns {Promise<Buffer>}
+ */
+export async function fetchCoverImage(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    // Follow redirects by hand so every hop gets the same address checks
+    let response;
+    let nextUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      const parsed = checkCoverUrl(nextUrl);
+      response = await requestCover(parsed, controller.signal);
+
+      const location = response.headers.location;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
+
+      if (redirects >= MAX_FETCH_REDIRECTS) {
+        throw new Error('Too many redirects');
+      }
+      response.resume();
+      nextUrl = new URL(location, parsed).href;
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`Server responded with ${response.statusCode}`);
+    }
+
+    const contentType = response.headers['content-type'];
+    if (!contentType || !contentType.startsWith('image/')) {
+      throw new Error(`Not an image (${contentType || 'unknown type'})`);
+    }
+
+    if (Number(response.headers['content-length']) > MAX_COVER_BYTES) {
+      throw new Error('Image is too large');
+    }
+
+    const data = await readCoverBody(response, controller);
+    if (!getImageInfo(data)) {
+      throw new Error('Unsupported image format');
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Timed out downloading the image');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Read a response body, giving up as soon as it passes MAX_COVER_BYTES; servers that send no
+// Content-Length could otherwise stream any amount into memory
+async function readCoverBody(body, controller) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > MAX_COVER_BYTES) {
+      controller.abort();
+      throw new Error('Image is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check that a cover URL is http(s) and, if its host is an IP address, a public one.
+ * Host names are checked as they're resolved, by lookupPublicAddress()
+ * @param {string} url
+ * @returns {URL}
+ * @throws {Error} - If the URL is invalid or points at a blocked address
+ */
+function checkCoverUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http and https URLs are supported');
+  }
+
+  // IPv6 hosts come bracketed, as in http://[::1]/; connections to IP addresses skip the lookup
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(hostname);
+  if (family && isBlockedAddress(hostname, family)) {
+    throw new Error(BLOCKED_ADDRESS_MESSAGE);
+  }
+
+  return parsed;
+}
+
+// GET a URL without following redirects, connecting only to public addresses
+function requestCover(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, { lookup: lookupPublicAddress, signal }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// dns.lookup() that fails for blocked addresses. Used as the request's own lookup, it checks
+// the address the connection is made to, so a host can't resolve to a public address for a
+// check and then to a private one for the request
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (addresses.length === 0 || addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      callback(new Error(BLOCKED_ADDRESS_MESSAGE));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+function isBlockedAddress(address, family) {
+  if (family === 6) {
+    // IPv4-mapped addresses such as ::ffff:127.0.0.1 reach the IPv4 host
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+/**
+ * Make an image the book's cover. The cover is locked so API enrichment doesn't replace it
+ * @param {Object} db - Database connection
+ * @param {Object} book - Book row
+ * @param {Buffer} data - JPEG, PNG, WebP or GIF image
+ * @returns {string} - Path of the saved cover
+ */
+export function setBookCover(db, book, data) {
+  const info = getImageInfo(data);
+  if (!info) {
+    throw new Error('Unsupported image format');
+  }
+
+  const coversDir = config.covers.path;
+  if (!fs.existsSync(coversDir)) {
+    fs.mkdirSync(coversDir, { recursive: true });
+  }
+
+  const coverPath = path.join(coversDir, `${book.id}.${info.format}`);
+  fs.writeFileSync(coverPath, data);
+
+  // Drop the replaced files; a previous local cover may have had another extension
+  for (const oldPath of [book.cover_path, book.api_cover_url]) {
+    if (oldPath && oldPath !== coverPath && oldPath.startsWith(coversDir)) {
+      fs.rmSync(oldPath, { force: true });
+    }
+  }
+
+  const lockedFields = parseLockedFields(book.locked_fields);
+  if (!lockedFields.includes('cover')) {
+    lockedFields.push('cover');
+  }
+
+  db.prepare(`
+    UPDATE books SET cover_path = ?, api_cover_url = NULL, locked_fields = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(coverPath, JSON.stringify(lockedFields), book.id);
+
+  fs.rmSync(getCandidatesDir(book.id), { recursive: true, force: true });
+  console.log(`[Covers] Set cover for book ${book.id}`);
+
+  return coverPath;
+}
+
+/**
+ * Read the format and dimensions of an image from its header
+ * @param {Buffer} data - Image data
+ * @returns {Object|null} - { format, width, height }, or null if it isn't a JPEG, PNG, WebP or GIF
+ */
+export function getImageInfo(data) {
+  if (!data || data.length < 16) return null;
+
+  const info = (format, width, height) => ({ format, width, height });
+
+  // PNG: dimensions are in the IHDR chunk that always comes first
+  if (data.readUInt32BE(0) === 0x89504e47 && data.length >= 24) {
+    return info('png', data.readUInt32BE(16), data.readUInt32BE(20));
+  }
+
+  if (data.toString('ascii', 0, 4) === 'GIF8') {
+    return info('gif', data.readUInt16LE(6), data.readUInt16LE(8));
+  }
+
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP' && data.length >= 30) {
+    const chunk = data.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return info('webp', data.readUInt16LE(26) & 0x3fff, data.readUInt16LE(28) & 0x3fff);
+    }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return info('webp', (bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1);
+    }
+    if (chunk === 'VP8X') {
+      return info('webp', data.readUIntLE(24, 3) + 1, data.readUIntLE(27, 3) + 1);
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments to the start-of-frame marker
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) return null;
+
+      const marker = data[offset + 1];
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return info('jpg', data.readUInt16BE(offset + 7), data.readUInt16BE(offset + 5));
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    // Truncated before the frame header; still a JPEG
+    return info('jpg', null, null);
+  }
+
+  return null;
+}
+
+/**
+ * Get the version of a cover file, which changes whenever the file is replaced
+ * @param {string} coverFile - Path of the cover file
+ * @returns {string}
+ */
+export function getCoverVersion(coverFile) {
+  const stats = fs.statSync(coverFile);
+  return `${Math.round(stats.mtimeMs).toString(36)}-${stats.size.toString(36)}`;
+}
+
+function getThumbnailsDir() {
+  const dir = path.join(config.covers.path, 'thumbs');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function getCandidatesDir(bookId) {
+  return path.join(config.covers.path, 'candidates', String(bookId));
+}
+
+function removeOldThumbnails(bookId, size, format, version) {
+  const dir = getThumbnailsDir();
+  const prefix = `${bookId}-${size}-`;
+  for (const name of fs.readdirSync(dir)) {
+    if (name.startsWith(prefix) && name.endsWith(`.${format}`) && name !== `${prefix}${version}.${format}`) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  }
+}
+
+function queueThumbnailJob(job) {
+  return new Promise((resolve, reject) => {
+    thumbnailQueue.push({ job, resolve, reject });
+    runNextThumbnailJob();
+  });
+}
+
+function runNextThumbnailJob() {
+  if (runningThumbnailJobs >= MAX_THUMBNAIL_JOBS || thumbnailQueue.length === 0) return;
+
+  const { job, resolve, reject } = thumbnailQueue.shift();
+  runningThumbnailJobs++;
+
+  job()
+    .then(resolve, reject)
+    .finally(() => {
+      runningThumbnailJobs--;
+      runNextThumbnailJob();
+    });
+}
+
+function makeThumbnail(coverFile, thumbnailPath, size, format) {
+  const tempPath = `${thumbnailPath}.tmp`;
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-y',
+    '-i', coverFile,
+    '-frames:v', '1',
+    // Never upscale; -2 keeps the aspect ratio with an even height
+    '-vf', `scale=w='min(${size},iw)':h=-2`,
+    ...(format === 'webp'
+      ? ['-c:v', 'libwebp', '-quality', '80', '-f', 'webp']
+      : ['-q:v', '3', '-f', 'mjpeg']),
+    tempPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(config.transcoding.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), THUMBNAIL_TIMEOUT_MS);
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data;
+    });
+
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timeout);
+      fs.rmSync(tempPath, { force: true });
+      reject(error);
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timeout);
+
+      if (code === 0) {
+        fs.renameSync(tempPath, thumbnailPath);
+        resolve();
+      } else {
+        fs.rmSync(tempPath, { force: true });
+        const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+        reject(new Error(`ffmpeg failed (${reason}): ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Convert a cover to JPEG, at full size, for places that can't store other formats
+ * @param {string} coverFile - Cover image path
+ * @returns {Promise<Buffer>} - The same input always gives the same bytes
+ */
+export function convertCoverToJpeg(coverFile) {
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-i', coverFile,
+    '-frames:v', '1',
+    '-q:v', '2',
+    '-f', 'mjpeg',
+    'pipe:1'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(config.transcoding.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+
+    const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), THUMBNAIL_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (data) => {
+      chunks.push(data);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data;
+    });
+
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timeout);
+
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+        reject(new Error(`ffmpeg failed (${reason}): ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+function hashData(data) {
+  return crypto.createHash('md5').update(data).digest('hex');
+}
@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import { extractISBN } from './isbnExtractor.js';
+import { SIDECAR_SOURCES, parseMetadataSources } from './sidecar.js';
+import { parseLockedFields, isFieldLocked } from './locks.js';
+import { getMetadataSnapshot, recordMetadataChange } from './history.js';
 import { getCachedResponse, setCachedResponse } from './apiCache.js';
 import { getDb } from '../../database/init.js';
 import { config } from '../../config/index.js';
@@ -33,8 +36,8 @@ export async function enrichBookMetadata(book, metadata = null, options = {}) {
   }
 
   try {
-    // Extract ISBN from folder path, filename, or metadata
-    const isbn = extractISBN(book.folder_path, '', metadata);
+    // Extract ISBN from folder path, filename, or metadata, else use one already known (e.g. from an OPF file)
+    const isbn = extractISBN(book.folder_path, '', metadata) || book.isbn || null;
 
     // Check cache first
     const cached = getCachedResponse(isbn, book.title, book.author);
@@ -425,16 +428,37 @@ export async function downloadCoverImage(url, bookId) {
 export async function updateBookWithEnrichedData(bookId, apiData) {
   const db = getDb();
 
-  // Download cover if available
+  // API enrichment takes precedence over existing data, except values from sidecar files and locked fields
+  const book = db.prepare('SELECT isbn, publisher, api_description, api_cover_url, metadata_sources, locked_fields FROM books WHERE id = ?').get(bookId);
+  const sources = parseMetadataSources(book.metadata_sources);
+  const lockedFields = parseLockedFields(book.locked_fields);
+
+  // Download cover if available, unless an admin chose the cover
   let apiCoverPath = null;
-  if (apiData.coverUrl) {
+  if (isFieldLocked(lockedFields, 'cover')) {
+    apiCoverPath = book.api_cover_url;
+  } else if (apiData.coverUrl) {
     const coverPath = await downloadCoverImage(apiData.coverUrl, bookId);
     if (coverPath) {
       apiCoverPath = coverPath;
     }
   }
+  const values = {};
+  const before = getMetadataSnapshot(db, bookId);
+
+  for (const field of ['isbn', 'publisher']) {
+    if (isFieldLocked(lockedFields, field) || (book[field] && SIDECAR_SOURCES.includes(sources[field]))) {
+      values[field] = book[field];
+    } else {
+      values[field] = apiData[field] ?? null;
+      if (apiData[field]) {
+        sources[field] = apiData.source;
+      } else {
+        delete sources[field];
+      }
+    }
+  }
 
-  // Update book record (API enrichment takes precedence over existing data)
   db.prepare(`
     UPDATE books SET
       isbn = ?,
@@ -442,17 +466,21 @@ export async function updateBookWithEnrichedData(bookId, apiData) {
       api_description = ?,
       api_cover_url = ?,
       metadata_source = ?,
+      metadata_sources = ?,
       metadata_enriched_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `).run(
-    apiData.isbn,
-    apiData.publisher,
-    apiData.description,
+    values.isbn,
+    values.publisher,
+    isFieldLocked(lockedFields, 'description') ? book.api_description : apiData.description,
     apiCoverPath,
     apiData.source,
+    JSON.stringify(sources),
     bookId
   );
 
+  recordMetadataChange(db, bookId, before, apiData.source || 'api');
+
   // Return updated book
   return db.prepare('SELECT * FROM books WHERE id = ?').get(bookId);
 }
@@ -0,0 +1,209 @@
+import fs from 'fs';
+
+/**
+ * Container Chapters
+ * Reads the chapter lists music-metadata doesn't: Nero chapters (the chpl box) in MP4 files
+ * and the Chapters element of Matroska files. Only the boxes and elements on the way to the
+ * chapters are read; the audio is skipped over
+ */
+
+// Nero chapter starts are in 100 ns units, Matroska ones in nanoseconds
+const NERO_TIME_SCALE = 1e7;
+const MATROSKA_TIME_SCALE = 1e9;
+
+// EBML IDs on the way to Matroska chapter titles
+const EBML_IDS = {
+  segment: 0x18538067,
+  chapters: 0x1043a770,
+  editionEntry: 0x45b9,
+  chapterAtom: 0xb6,
+  chapterTimeStart: 0x91,
+  chapterFlagHidden: 0x98,
+  chapterDisplay: 0x80,
+  chapString: 0x85
+};
+
+/**
+ * Read Nero chapters from an MP4 file (moov/udta/chpl)
+ * @param {string} filePath - M4A/M4B file path
+ * @returns {Promise<Array<{title: string|null, startTime: number}>>} - Empty if there are none
+ */
+export async function readNeroChapters(filePath) {
+  const file = await openFile(filePath);
+  try {
+    const moov = await findBox(file, 0, file.size, 'moov');
+    const udta = moov && await findBox(file, moov.dataStart, moov.end, 'udta');
+    const chpl = udta && await findBox(file, udta.dataStart, udta.end, 'chpl');
+    if (!chpl) return [];
+
+    const data = await file.read(chpl.dataStart, chpl.end - chpl.dataStart);
+    // Version and flags, four reserved bytes from version 1 on, then an 8-bit count
+    let offset = data[0] > 0 ? 8 : 4;
+    const count = data[offset++] || 0;
+
+    const chapters = [];
+    for (let i = 0; i < count && offset + 9 <= data.length; i++) {
+      const start = Number(data.readBigUInt64BE(offset));
+      const titleLength = data[offset + 8];
+      offset += 9;
+      chapters.push({
+        title: data.toString('utf8', offset, offset + titleLength) || null,
+        startTime: start / NERO_TIME_SCALE
+      });
+      offset += titleLength;
+    }
+    return chapters;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Read chapters from a Matroska file, from the first edition that has any
+ * @param {string} filePath - MKA file path
+ * @returns {Promise<Array<{title: string|null, startTime: number}>>} - Sorted by start; empty if there are none
+ */
+export async function readMatroskaChapters(filePath) {
+  const file = await openFile(filePath);
+  try {
+    for await (const segment of readElements(file, 0, file.size)) {
+      if (segment.id !== EBML_IDS.segment) continue;
+
+      for await (const element of readElements(file, segment.dataStart, segment.end)) {
+        if (element.id !== EBML_IDS.chapters) continue;
+
+        for await (const edition of readElements(file, element.dataStart, element.end)) {
+          if (edition.id !== EBML_IDS.editionEntry) continue;
+
+          const chapters = await readChapterAtoms(file, edition);
+          if (chapters.length > 0) return chapters;
+        }
+      }
+    }
+    return [];
+  } finally {
+    await file.close();
+  }
+}
+
+async function readChapterAtoms(file, edition) {
+  const chapters = [];
+
+  for await (const atom of readElements(file, edition.dataStart, edition.end)) {
+    if (atom.id !== EBML_IDS.chapterAtom) continue;
+
+    let startTime = null;
+    let title = null;
+    let hidden = false;
+    for await (const field of readElements(file, atom.dataStart, atom.end)) {
+      if (field.id === EBML_IDS.chapterTimeStart) {
+        startTime = readUint(await readData(file, field)) / MATROSKA_TIME_SCALE;
+      } else if (field.id === EBML_IDS.chapterFlagHidden) {
+        hidden = readUint(await readData(file, field)) === 1;
+      } else if (field.id === EBML_IDS.chapterDisplay && title === null) {
+        // A chapter has a display per language; the first one names it
+        for await (const display of readElements(file, field.dataStart, field.end)) {
+          if (display.id === EBML_IDS.chapString) {
+            title = (await readData(file, display)).toString('utf8') || null;
+            break;
+          }
+        }
+      }
+    }
+
+    if (startTime !== null && !hidden) {
+      chapters.push({ title, startTime });
+    }
+  }
+
+  return chapters.sort((a, b) => a.startTime - b.startTime);
+}
+
+// Find the first box of a type between start and end. Boxes are a 32-bit size and a
+// four-letter type; a size of 1 means a 64-bit size follows, 0 that the box runs to the end
+async function findBox(file, start, end, type) {
+  let position = start;
+
+  while (position + 8 <= end) {
+    const header = await file.read(position, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      if (header.length < 16) return null;
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize) return null;
+
+    if (header.toString('latin1', 4, 8) === type) {
+      return { dataStart: position + headerSize, end: Math.min(position + size, end) };
+    }
+    position += size;
+  }
+
+  return null;
+}
+
+// List the EBML elements between start and end. Only a segment may have an unknown size
+// (running to the end); any other element like that can't be skipped, so listing stops there
+async function* readElements(file, start, end) {
+  let position = start;
+
+  while (position < end) {
+    const header = await file.read(position, 12);
+    const id = readVint(header, 0, true);
+    const size = id && readVint(header, id.length, false);
+    if (!size || (size.unknown && id.value !== EBML_IDS.segment)) return;
+
+    const dataStart = position + id.length + size.length;
+    const elementEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    yield { id: id.value, dataStart, end: elementEnd };
+    position = elementEnd;
+  }
+}
+
+// EBML variable-length integers: the leading zero bits of the first byte give the length.
+// IDs keep that length marker, sizes drop it; a size of all ones is unknown
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (!first) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  const mask = 0xff >> length;
+  let value = keepMarker ? first : first & mask;
+  let unknown = (first & mask) === mask;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    unknown = unknown && buffer[offset + i] === 0xff;
+  }
+  return { value, length, unknown };
+}
+
+function readUint(buffer) {
+  return buffer.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+function readData(file, element) {
+  return file.read(element.dataStart, element.end - element.dataStart);
+}
+
+async function openFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+
+  return {
+    size,
+    async read(position, length) {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      return buffer.subarray(0, bytesRead);
+    },
+    close: () => handle.close()
+  };
+}
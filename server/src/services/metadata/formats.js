@@ -0,0 +1,84 @@
+import path from 'path';
+import mime from 'mime-types';
+import { getDb } from '../../database/init.js';
+
+/**
+ * Audio Formats
+ * Which file extensions the library picks up, how they're served, and which
+ * carry embedded chapter markers
+ */
+
+// Every extension the scanner can read; admins choose which of these are included
+export const SUPPORTED_AUDIO_EXTENSIONS = [
+  '.mp3', '.m4a', '.m4b', '.flac', '.ogg', '.opus', '.aac', '.wav', '.wma', '.mka'
+];
+
+// QuickTime chapter tracks or Nero chapters
+export const MP4_CHAPTER_EXTENSIONS = ['.m4a', '.m4b'];
+
+// CHAPTERxxx / CHAPTERxxxNAME Vorbis comments
+export const VORBIS_CHAPTER_EXTENSIONS = ['.flac', '.ogg', '.opus'];
+
+// Matroska Chapters element
+export const MATROSKA_CHAPTER_EXTENSIONS = ['.mka'];
+
+// Raw ADTS streams have no header with the length, so the whole file is read to measure it
+export const FULL_DURATION_SCAN_EXTENSIONS = ['.aac'];
+
+// mime-types lacks some of these or gives names browsers don't recognise, so these come first
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.m4b': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.wma': 'audio/x-ms-wma',
+  '.mka': 'audio/x-matroska'
+};
+
+/**
+ * Get the extensions enabled in settings
+ * @returns {string[]} - Lowercase extensions with leading dots
+ */
+export function getAudioExtensions() {
+  const db = getDb();
+  const setting = db.prepare("SELECT value FROM settings WHERE key = 'audio_extensions'").get();
+  if (!setting?.value) return SUPPORTED_AUDIO_EXTENSIONS;
+
+  return parseAudioExtensions(setting.value).filter(ext => SUPPORTED_AUDIO_EXTENSIONS.includes(ext));
+}
+
+/**
+ * Parse a comma-separated extension list such as "mp3, .FLAC"
+ * @param {string} value - Extension list
+ * @returns {string[]} - Lowercase extensions with leading dots
+ */
+export function parseAudioExtensions(value) {
+  return String(value)
+    .split(',')
+    .map(ext => ext.trim().toLowerCase())
+    .filter(ext => ext.length > 0)
+    .map(ext => ext.startsWith('.') ? ext : `.${ext}`);
+}
+
+/**
+ * Check whether a file is audio the library includes
+ * @param {string} fileName - File name or path
+ * @param {string[]} extensions - Enabled extensions, from getAudioExtensions()
+ * @returns {boolean}
+ */
+export function isAudioFile(fileName, extensions = getAudioExtensions()) {
+  return extensions.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Get the Content-Type to stream an audio file with
+ * @param {string} filePath - Audio file path
+ * @returns {string}
+ */
+export function getAudioMimeType(filePath) {
+  return AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || mime.lookup(filePath) || 'audio/mpeg';
+}
@@ -0,0 +1,111 @@
+/**
+ * Metadata History Service
+ * Records what each scan, enrichment or edit changed in a book's metadata, so
+ * changes can be reviewed and reverted
+ */
+
+// Fields tracked in the history; series is the series name rather than its id
+export const HISTORY_FIELDS = [
+  'title', 'author', 'narrator', 'description', 'publication_year', 'genre',
+  'publisher', 'isbn', 'asin', 'language', 'tags', 'series', 'series_order', 'api_description'
+];
+
+/**
+ * Read the tracked fields of a book
+ * @param {Object} db - Database connection
+ * @param {number} bookId - Book ID
+ * @returns {Object|null} - Field values, or null if the book doesn't exist
+ */
+export function getMetadataSnapshot(db, bookId) {
+  const book = db.prepare(`
+    SELECT b.*, s.name as series
+    FROM books b
+    LEFT JOIN series s ON b.series_id = s.id
+    WHERE b.id = ?
+  `).get(bookId);
+  if (!book) return null;
+
+  const snapshot = {};
+  for (const field of HISTORY_FIELDS) {
+    snapshot[field] = field === 'tags' ? parseTags(book.tags) : (book[field] ?? null);
+  }
+  return snapshot;
+}
+
+/**
+ * Record the fields that differ between a snapshot taken before a change and the book now
+ * @param {Object} db - Database connection
+ * @param {number} bookId - Book ID
+ * @param {Object} before - Snapshot from getMetadataSnapshot() taken before the change
+ * @param {string} source - What made the change: scan, openlibrary, googlebooks or user:<id>
+ * @returns {number|null} - History entry ID, or null if nothing changed
+ */
+export function recordMetadataChange(db, bookId, before, source) {
+  const after = getMetadataSnapshot(db, bookId);
+  if (!before || !after) return null;
+
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    if (!isSameValue(before[field], after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) return null;
+
+  return db.prepare(`
+    INSERT INTO book_metadata_history (book_id, source, changes)
+    VALUES (?, ?, ?)
+  `).run(bookId, source, JSON.stringify(changes)).lastInsertRowid;
+}
+
+/**
+ * List a book's history, newest first
+ * @param {Object} db - Database connection
+ * @param {number} bookId - Book ID
+ * @returns {Object[]} - [{ id, source, username, changes, created_at }]; username is set for user edits
+ */
+export function getMetadataHistory(db, bookId) {
+  return db.prepare(`
+    SELECT h.*, u.username
+    FROM book_metadata_history h
+    LEFT JOIN users u ON h.source = 'user:' || u.id
+    WHERE h.book_id = ?
+    ORDER BY h.created_at DESC, h.id DESC
+  `).all(bookId).map(formatHistoryEntry);
+}
+
+/**
+ * Get one history entry of a book
+ * @param {Object} db - Database connection
+ * @param {number} bookId - Book ID
+ * @param {number} historyId - History entry ID
+ * @returns {Object|null}
+ */
+export function getMetadataHistoryEntry(db, bookId, historyId) {
+  const entry = db.prepare('SELECT * FROM book_metadata_history WHERE id = ? AND book_id = ?').get(historyId, bookId);
+  return entry ? formatHistoryEntry(entry) : null;
+}
+
+function formatHistoryEntry(entry) {
+  return {
+    id: entry.id,
+    source: entry.source,
+    username: entry.username || null,
+    changes: JSON.parse(entry.changes),
+    created_at: entry.created_at
+  };
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function parseTags(value) {
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
@@ -2,10 +2,16 @@ import * as musicMetadata from 'music-metadata';
 import fs from 'fs';
 import path from 'path';
 import { config } from '../../config/index.js';
+import {
+  MP4_CHAPTER_EXTENSIONS, VORBIS_CHAPTER_EXTENSIONS, MATROSKA_CHAPTER_EXTENSIONS, FULL_DURATION_SCAN_EXTENSIONS
+} from './formats.js';
+import { readNeroChapters, readMatroskaChapters } from './containerChapters.js';
 
 export async function extractMetadata(filePath) {
   try {
-    const metadata = await musicMetadata.parseFile(filePath);
+    const metadata = await musicMetadata.parseFile(filePath, {
+      duration: FULL_DURATION_SCAN_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+    });
 
     // Helper to extract string from various formats
     const extractString = (value) => {
@@ -87,20 +93,117 @@ export async function extractCoverArt(bookFolder, audioFile, bookId) {
 }
 
 export async function getEmbeddedChapters(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (VORBIS_CHAPTER_EXTENSIONS.includes(extension)) {
+    return getVorbisChapters(filePath);
+  }
+  if (MP4_CHAPTER_EXTENSIONS.includes(extension)) {
+    return getMp4Chapters(filePath);
+  }
+  if (MATROSKA_CHAPTER_EXTENSIONS.includes(extension)) {
+    return getMatroskaChapters(filePath);
+  }
+  return [];
+}
+
+// MP4 files mark chapters with a QuickTime chapter track, a Nero chpl box or both
+async function getMp4Chapters(filePath) {
   try {
-    const metadata = await musicMetadata.parseFile(filePath);
-
-    if (metadata.chapters && metadata.chapters.length > 0) {
-      return metadata.chapters.map((chapter, index) => ({
-        title: chapter.tags?.title || `Chapter ${index + 1}`,
-        startTime: chapter.startTime || 0,
-        endTime: chapter.endTime || null
-      }));
+    const trackChapters = await getChapterTrack(filePath);
+    if (trackChapters.length > 0) {
+      return trackChapters;
     }
 
+    const metadata = await musicMetadata.parseFile(filePath, { skipCovers: true });
+    return withEndTimes(await readNeroChapters(filePath), metadata.format.duration);
+  } catch (error) {
+    console.error(`Error extracting chapters from ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+// music-metadata only parses chapter tracks when explicitly asked, and only those with
+// each title in its own chunk ahead of the audio; ffmpeg writes them otherwise
+async function getChapterTrack(filePath) {
+  let metadata;
+  try {
+    metadata = await musicMetadata.parseFile(filePath, { includeChapters: true });
+  } catch {
+    return [];
+  }
+
+  const sampleRate = metadata.format.sampleRate;
+  if (!sampleRate) {
     return [];
+  }
+
+  const chapters = (metadata.format.chapters || []).map(chapter => ({
+    title: chapter.title,
+    startTime: chapter.sampleOffset / sampleRate
+  }));
+  return withEndTimes(chapters, metadata.format.duration);
+}
+
+async function getMatroskaChapters(filePath) {
+  try {
+    const metadata = await musicMetadata.parseFile(filePath, { skipCovers: true });
+    return withEndTimes(await readMatroskaChapters(filePath), metadata.format.duration);
   } catch (error) {
     console.error(`Error extracting chapters from ${filePath}:`, error.message);
     return [];
   }
 }
+
+// FLAC and Ogg files mark chapters with CHAPTER001=00:01:23.456 and CHAPTER001NAME comments
+async function getVorbisChapters(filePath) {
+  try {
+    const metadata = await musicMetadata.parseFile(filePath, { skipCovers: true });
+
+    const starts = new Map();
+    const names = new Map();
+    for (const tag of metadata.native.vorbis || []) {
+      const match = String(tag.id).toUpperCase().match(/^CHAPTER(\d+)(NAME)?$/);
+      if (!match) continue;
+
+      const number = parseInt(match[1], 10);
+      if (match[2]) {
+        names.set(number, String(tag.value));
+      } else {
+        const startTime = parseChapterTimestamp(tag.value);
+        if (startTime !== null) starts.set(number, startTime);
+      }
+    }
+
+    const chapters = [...starts.entries()]
+      .sort((a, b) => a[1] - b[1])
+      .map(([number, startTime]) => ({ title: names.get(number), startTime }));
+    return withEndTimes(chapters, metadata.format.duration);
+  } catch (error) {
+    console.error(`Error extracting chapters from ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+// Each chapter runs until the next one starts and the last one to the end of the file;
+// untitled chapters are numbered
+function withEndTimes(chapters, fileDuration) {
+  return chapters.map((chapter, index) => {
+    const next = chapters[index + 1];
+    return {
+      title: chapter.title || `Chapter ${index + 1}`,
+      startTime: chapter.startTime,
+      endTime: next ? next.startTime : fileDuration || null
+    };
+  });
+}
+
+// HH:MM:SS.mmm (hours optional) to seconds; null for anything else
+function parseChapterTimestamp(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours = 0, minutes, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
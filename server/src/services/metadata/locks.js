@@ -0,0 +1,35 @@
+/**
+ * Metadata Locks
+ * Book fields an admin has pinned, so library scans and API enrichment leave them alone
+ */
+
+// series covers series_order too; description also covers the API description;
+// cover keeps enrichment from replacing a cover an admin chose
+export const LOCKABLE_FIELDS = [
+  'title', 'author', 'narrator', 'description', 'publication_year', 'genre',
+  'publisher', 'isbn', 'asin', 'language', 'tags', 'series', 'cover'
+];
+
+/**
+ * Parse a book's stored locked_fields column
+ * @param {string|null} value - JSON array of field names
+ * @returns {string[]}
+ */
+export function parseLockedFields(value) {
+  try {
+    const fields = JSON.parse(value);
+    return Array.isArray(fields) ? fields.filter(field => LOCKABLE_FIELDS.includes(field)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check whether a field is locked
+ * @param {string[]} lockedFields - From parseLockedFields()
+ * @param {string} field - Field name; series_order follows series
+ * @returns {boolean}
+ */
+export function isFieldLocked(lockedFields, field) {
+  return lockedFields.includes(field === 'series_order' ? 'series' : field);
+}
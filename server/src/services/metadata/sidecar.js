@@ -0,0 +1,349 @@
+import fs from 'fs';
+import path from 'path';
+import { extractISBNFromText } from './isbnExtractor.js';
+
+/**
+ * Sidecar Metadata Service
+ * Reads metadata files kept next to the audio (metadata.json, .opf, desc.txt,
+ * reader.txt) and merges them with embedded tags and folder names
+ */
+
+// Where a field's value can come from, highest precedence first. A field takes
+// its value from the first source that has one
+export const METADATA_SOURCE_PRECEDENCE = ['metadata.json', 'opf', 'desc.txt', 'reader.txt', 'tags', 'folder'];
+
+// Sources that are files in the book folder
+export const SIDECAR_SOURCES = ['metadata.json', 'opf', 'desc.txt', 'reader.txt'];
+
+// Fields the scanner fills in; series_order always comes from the same source as series
+export const BOOK_METADATA_FIELDS = [
+  'title', 'author', 'narrator', 'description', 'publication_year', 'genre',
+  'publisher', 'isbn', 'asin', 'language', 'tags', 'series', 'series_order'
+];
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Find the sidecar files in a book folder
+ * @param {string} folderPath - Book folder path
+ * @returns {Object[]} - [{ source, filePath }] in precedence order, for files that exist
+ */
+export function findSidecarFiles(folderPath) {
+  let files;
+  try {
+    files = fs.readdirSync(folderPath);
+  } catch {
+    return [];
+  }
+
+  // Match names case-insensitively; folders copied from Windows tools vary
+  const find = (predicate) => files.find(f => predicate(f.toLowerCase()));
+
+  return [
+    { source: 'metadata.json', fileName: find(f => f === 'metadata.json') },
+    { source: 'opf', fileName: find(f => f === 'metadata.opf') || find(f => f.endsWith('.opf')) },
+    { source: 'desc.txt', fileName: find(f => f === 'desc.txt') },
+    { source: 'reader.txt', fileName: find(f => f === 'reader.txt') }
+  ]
+    .filter(sidecar => sidecar.fileName)
+    .map(sidecar => ({ source: sidecar.source, filePath: path.join(folderPath, sidecar.fileName) }));
+}
+
+const SIDECAR_PARSERS = {
+  'metadata.json': parseMetadataJson,
+  opf: parseOpf,
+  'desc.txt': (text) => {
+    const description = text.trim();
+    return description ? { description } : null;
+  },
+  'reader.txt': (text) => {
+    const narrators = splitLines(text);
+    return narrators.length > 0 ? { narrator: narrators.join(', ') } : null;
+  }
+};
+
+/**
+ * Read every sidecar file in a book folder
+ * @param {string} folderPath - Book folder path
+ * @returns {Object[]} - [{ source, fields }] in precedence order, only for files that exist and parse
+ */
+export function readSidecarMetadata(folderPath) {
+  const layers = [];
+
+  for (const { source, filePath } of findSidecarFiles(folderPath)) {
+    try {
+      const fields = SIDECAR_PARSERS[source](fs.readFileSync(filePath, 'utf-8'));
+      if (fields) {
+        layers.push({ source, fields });
+      }
+    } catch (error) {
+      console.error(`[Sidecar] Could not read ${filePath}:`, error.message);
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Merge metadata layers, taking each field from the highest-precedence layer that has it
+ * @param {Object[]} layers - [{ source, fields }], highest precedence first
+ * @returns {Object} - { values, sources }; sources maps each filled field to where it came from
+ */
+export function mergeMetadataLayers(layers) {
+  const values = {};
+  const sources = {};
+
+  for (const field of BOOK_METADATA_FIELDS) {
+    // Position only means something alongside the series it was read with
+    if (field === 'series_order') continue;
+
+    const layer = layers.find(l => hasValue(l.fields[field]));
+    if (!layer) continue;
+
+    values[field] = layer.fields[field];
+    sources[field] = layer.source;
+
+    if (field === 'series' && hasValue(layer.fields.series_order)) {
+      values.series_order = layer.fields.series_order;
+      sources.series_order = layer.source;
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Parse a book's stored metadata_sources column
+ * @param {string|null} value - JSON object of field name to source
+ * @returns {Object}
+ */
+export function parseMetadataSources(value) {
+  try {
+    return JSON.parse(value) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse a metadata.json file, as written by Audiobookshelf and similar tools
+ * @param {string} text - File contents
+ * @returns {Object} - Book fields
+ */
+function parseMetadataJson(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object') return null;
+
+  const people = (value) => toList(value)
+    .map(person => typeof person === 'object' ? person?.name : person)
+    .filter(Boolean);
+
+  const series = parseSeries(Array.isArray(data.series) ? data.series[0] : data.series);
+  const genres = toList(data.genres ?? data.genre);
+
+  return {
+    title: cleanText(data.title),
+    author: joinList(people(data.authors ?? data.author)),
+    narrator: joinList(people(data.narrators ?? data.narrator)),
+    description: cleanText(data.description),
+    publication_year: parseYear(data.publishedYear ?? data.publishedDate ?? data.year),
+    genre: joinList(genres),
+    publisher: cleanText(data.publisher),
+    isbn: parseIsbn(data.isbn),
+    asin: parseAsin(data.asin),
+    language: cleanText(data.language),
+    tags: toList(data.tags).map(cleanText).filter(Boolean),
+    series: series?.name || null,
+    series_order: series?.sequence ?? parseSequenceNumber(data.seriesSequence ?? data.volumeNumber)
+  };
+}
+
+/**
+ * Parse an OPF package document (Calibre and EPUB 3 style)
+ * @param {string} xml - File contents
+ * @returns {Object} - Book fields
+ */
+function parseOpf(xml) {
+  const creators = getElements(xml, 'dc:creator');
+  // EPUB 3 puts creator roles in separate <meta refines="#id" property="role"> elements
+  const roleOf = (creator) => {
+    const role = creator.attrs['opf:role'] || creator.attrs.role
+      || getRefinement(xml, creator.attrs.id, 'role');
+    return (role || 'aut').toLowerCase();
+  };
+
+  const identifiers = getElements(xml, 'dc:identifier').map(identifier => ({
+    scheme: (identifier.attrs['opf:scheme'] || identifier.attrs.scheme || '').toLowerCase(),
+    value: identifier.text
+  }));
+  const identifier = (schemes, prefix) => identifiers.find(id =>
+    schemes.includes(id.scheme) || id.value.toLowerCase().startsWith(prefix)
+  )?.value.replace(/^[a-z:]+:/i, '');
+
+  // Calibre series first, then the EPUB 3 collection
+  let seriesName = getMetaContent(xml, 'calibre:series');
+  let seriesIndex = getMetaContent(xml, 'calibre:series_index');
+  if (!seriesName) {
+    const collection = getElements(xml, 'meta').find(meta => meta.attrs.property === 'belongs-to-collection');
+    seriesName = collection?.text || null;
+    seriesIndex = collection ? getRefinement(xml, collection.attrs.id, 'group-position') : null;
+  }
+
+  const subjects = getElements(xml, 'dc:subject').map(subject => subject.text).filter(Boolean);
+
+  return {
+    title: getElements(xml, 'dc:title')[0]?.text || null,
+    author: joinList(creators.filter(c => roleOf(c) === 'aut').map(c => c.text)),
+    narrator: joinList(creators.filter(c => roleOf(c) === 'nrt').map(c => c.text)),
+    description: cleanText(htmlToText(getElements(xml, 'dc:description')[0]?.text || '')),
+    publication_year: parseYear(getElements(xml, 'dc:date')[0]?.text),
+    genre: joinList(subjects),
+    publisher: getElements(xml, 'dc:publisher')[0]?.text || null,
+    isbn: parseIsbn(identifier(['isbn'], 'urn:isbn:')),
+    asin: parseAsin(identifier(['asin', 'mobi-asin', 'amazon'], 'urn:asin:')),
+    language: getElements(xml, 'dc:language')[0]?.text || null,
+    tags: [],
+    series: cleanText(seriesName),
+    series_order: parseSequenceNumber(seriesIndex)
+  };
+}
+
+/**
+ * Find elements by tag name, with their attributes and decoded text
+ * @param {string} xml - XML document
+ * @param {string} tagName - Tag name including any prefix, e.g. "dc:title"
+ * @returns {Object[]} - [{ attrs, text }]
+ */
+function getElements(xml, tagName) {
+  const name = tagName.replace(':', '\\:');
+  const pattern = new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}>)`, 'gi');
+
+  return [...xml.matchAll(pattern)].map(match => ({
+    attrs: parseAttributes(match[1] || ''),
+    text: decodeEntities((match[2] || '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim()
+  }));
+}
+
+/**
+ * Get the content of a <meta name="..." content="..."/> element
+ * @param {string} xml - XML document
+ * @param {string} name - Meta name
+ * @returns {string|null}
+ */
+function getMetaContent(xml, name) {
+  return getElements(xml, 'meta').find(meta => meta.attrs.name === name)?.attrs.content || null;
+}
+
+/**
+ * Get an EPUB 3 refinement of another element, e.g. a creator's role
+ * @param {string} xml - XML document
+ * @param {string} id - id of the refined element
+ * @param {string} property - Refining property
+ * @returns {string|null}
+ */
+function getRefinement(xml, id, property) {
+  if (!id) return null;
+  return getElements(xml, 'meta')
+    .find(meta => meta.attrs.refines === `#${id}` && meta.attrs.property === property)?.text || null;
+}
+
+/**
+ * Parse the attributes of a tag
+ * @param {string} source - Everything between the tag name and the closing bracket
+ * @returns {Object} - Attribute values by name
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return XML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// OPF descriptions are often HTML; keep the paragraph breaks and drop the markup
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>\s*/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read a series name and position from a string like "Mistborn #2" or an object
+ * @param {string|Object} value - Series entry
+ * @returns {Object|null} - { name, sequence }
+ */
+function parseSeries(value) {
+  if (!value) return null;
+
+  if (typeof value === 'object') {
+    const name = cleanText(value.name || value.series);
+    return name ? { name, sequence: parseSequenceNumber(value.sequence ?? value.position) } : null;
+  }
+
+  const match = String(value).match(/^(.*?)\s*#\s*(\d+(?:\.\d+)?)\s*$/);
+  if (match && match[1]) {
+    return { name: match[1].trim(), sequence: parseFloat(match[2]) };
+  }
+  return { name: String(value).trim(), sequence: null };
+}
+
+function parseSequenceNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseYear(value) {
+  const match = value ? String(value).match(/\d{4}/) : null;
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function parseIsbn(value) {
+  return value ? extractISBNFromText(`ISBN ${String(value).replace(/[-\s]/g, '')}`) : null;
+}
+
+function parseAsin(value) {
+  const asin = value ? String(value).trim().toUpperCase() : '';
+  return ASIN_PATTERN.test(asin) ? asin : null;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function joinList(values) {
+  const cleaned = values.map(cleanText).filter(Boolean);
+  return cleaned.length > 0 ? cleaned.join(', ') : null;
+}
+
+function splitLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '';
+}
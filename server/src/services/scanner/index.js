@@ -1,13 +1,20 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { getDb } from '../../database/init.js';
-import { extractMetadata, extractCoverArt } from '../metadata/index.js';
+import { extractMetadata, extractCoverArt, getEmbeddedChapters } from '../metadata/index.js';
+import { getAudioExtensions, isAudioFile } from '../metadata/formats.js';
+import { readSidecarMetadata, findSidecarFiles, mergeMetadataLayers, parseMetadataSources } from '../metadata/sidecar.js';
+import { parseLockedFields, isFieldLocked } from '../metadata/locks.js';
+import { getMetadataSnapshot, recordMetadataChange } from '../metadata/history.js';
+import { getLibraryLayout, parseBookFolder } from './layout.js';
 import { enrichBookMetadata, updateBookWithEnrichedData } from '../metadata/apiEnrichment.js';
 import { config } from '../../config/index.js';
 
 // Scan status tracking
 let scanStatus = {
   scanning: false,
+  mode: null,
   progress: 0,
   total: 0,
   current: '',
@@ -16,7 +23,8 @@ let scanStatus = {
   results: {
     added: 0,
     updated: 0,
-    removed: 0
+    removed: 0,
+    skipped: 0
   },
   enrichment: {
     enabled: false,
@@ -27,32 +35,135 @@ let scanStatus = {
   }
 };
 
-const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.m4b'];
+// Quick scans skip folders whose audio files are unchanged; full rescans re-read everything
+export const SCAN_MODES = ['quick', 'full'];
+
+// Bytes read from each end of a file for the optional partial hash
+const PARTIAL_HASH_BYTES = 64 * 1024;
+
+// Book fields a rescan leaves alone when no source has a value for them
+// (e.g. an ISBN from API enrichment, or a series assigned by hand)
+const KEPT_WHEN_MISSING_FIELDS = ['publisher', 'isbn', 'asin', 'language', 'tags', 'series', 'series_order'];
 
 export function getScanStatus() {
   return { ...scanStatus };
 }
 
-export async function scanLibrary() {
+export async function scanLibrary({ mode = 'quick' } = {}) {
   if (scanStatus.scanning) {
     throw new Error('Scan already in progress');
   }
 
+  if (!SCAN_MODES.includes(mode)) {
+    throw new Error(`Invalid scan mode: ${mode}`);
+  }
+
   const db = getDb();
-  const libraryPath = db.prepare("SELECT value FROM settings WHERE key = 'library_path'").get()?.value
-    || config.library.path;
+  const libraryPath = getLibraryPath(db);
+
+  if (!fs.existsSync(libraryPath)) {
+    throw new Error(`Library path does not exist: ${libraryPath}`);
+  }
+
+  return runScan(db, mode, libraryPath, (layout) => ({
+    // Find all book folders, down as many levels as the layout has
+    bookFolders: findBookFolders(libraryPath, layout.length),
+    // Track existing books for removal detection
+    existingFolders: db.prepare('SELECT folder_path FROM books').all().map(b => b.folder_path)
+  }));
+}
+
+/**
+ * Rescan only the top-level library folders containing the given paths
+ * (used by the filesystem watcher). Unchanged book folders are skipped.
+ * @param {string[]} changedPaths - Absolute paths reported as changed
+ * @returns {Object|null} - Scan results, or null if nothing was in scope
+ */
+export async function scanChangedPaths(changedPaths) {
+  if (scanStatus.scanning) {
+    throw new Error('Scan already in progress');
+  }
+
+  const db = getDb();
+  const libraryPath = getLibraryPath(db);
 
   if (!fs.existsSync(libraryPath)) {
     throw new Error(`Library path does not exist: ${libraryPath}`);
   }
 
+  const scopes = new Set();
+  for (const changedPath of changedPaths) {
+    const relativePath = path.relative(libraryPath, changedPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      continue;
+    }
+    scopes.add(path.join(libraryPath, relativePath.split(path.sep)[0]));
+  }
+
+  if (scopes.size === 0) {
+    return null;
+  }
+
+  const findBooksUnder = db.prepare(`
+    SELECT folder_path FROM books
+    WHERE folder_path = ? OR substr(folder_path, 1, ?) = ?
+  `);
+
+  return runScan(db, 'watch', libraryPath, (layout) => {
+    const bookFolders = [];
+    const existingFolders = [];
+
+    for (const scope of scopes) {
+      if (isDirectory(scope)) {
+        bookFolders.push(...findBookFoldersIn(scope, 1, layout.length));
+      }
+
+      const prefix = scope + path.sep;
+      existingFolders.push(...findBooksUnder.all(scope, prefix.length, prefix).map(b => b.folder_path));
+    }
+
+    return { bookFolders, existingFolders };
+  });
+}
+
+/**
+ * Rescan a single book folder, re-reading all of its files
+ * @param {string} folderPath - The book's folder_path
+ * @returns {Object} - Scan results
+ */
+export async function rescanBook(folderPath) {
+  if (scanStatus.scanning) {
+    throw new Error('Scan already in progress');
+  }
+
+  const db = getDb();
+  const libraryPath = getLibraryPath(db);
+
+  return runScan(db, 'full', libraryPath, () => ({
+    bookFolders: isDirectory(folderPath) ? [folderPath] : [],
+    existingFolders: [folderPath]
+  }));
+}
+
+function getLibraryPath(db) {
+  return db.prepare("SELECT value FROM settings WHERE key = 'library_path'").get()?.value
+    || config.library.path;
+}
+
+async function runScan(db, mode, libraryPath, collectFolders) {
   // Check if enrichment is enabled
   const enrichmentEnabled = db.prepare("SELECT value FROM settings WHERE key = 'api_enrichment_enabled'").get();
   const shouldEnrich = enrichmentEnabled?.value === 'true';
 
+  const partialHashSetting = db.prepare("SELECT value FROM settings WHERE key = 'scan_partial_hash'").get();
+  const usePartialHash = partialHashSetting?.value === 'true';
+
+  const layout = getLibraryLayout();
+
   // Reset scan status
   scanStatus = {
     scanning: true,
+    mode,
     progress: 0,
     total: 0,
     current: '',
@@ -61,7 +172,8 @@ export async function scanLibrary() {
     results: {
       added: 0,
       updated: 0,
-      removed: 0
+      removed: 0,
+      skipped: 0
     },
     enrichment: {
       enabled: shouldEnrich,
@@ -73,20 +185,16 @@ export async function scanLibrary() {
   };
 
   try {
-    // Find all book folders (Author/BookTitle structure)
-    const bookFolders = findBookFolders(libraryPath);
+    const { bookFolders, existingFolders } = collectFolders(layout);
     scanStatus.total = bookFolders.length;
     scanStatus.enrichment.total = shouldEnrich ? bookFolders.length : 0;
 
-    console.log(`Found ${bookFolders.length} potential audiobook folders`);
+    console.log(`Found ${bookFolders.length} potential audiobook folders (${mode} scan)`);
     if (shouldEnrich) {
       console.log('API metadata enrichment is enabled');
     }
 
-    // Track existing books for removal detection
-    const existingBooks = new Set(
-      db.prepare('SELECT folder_path FROM books').all().map(b => b.folder_path)
-    );
+    const existingBooks = new Set(existingFolders);
 
     // Process each book folder
     for (let i = 0; i < bookFolders.length; i++) {
@@ -95,7 +203,21 @@ export async function scanLibrary() {
       scanStatus.current = path.basename(folderPath);
 
       try {
-        await processBookFolder(db, folderPath, existingBooks, shouldEnrich);
+        if (mode !== 'full' && isFolderUnchanged(db, folderPath, usePartialHash)) {
+          existingBooks.delete(folderPath);
+          scanStatus.results.skipped++;
+          if (shouldEnrich) {
+            scanStatus.enrichment.total--;
+          }
+          continue;
+        }
+
+        await processBookFolder(db, folderPath, existingBooks, {
+          libraryPath,
+          layout,
+          shouldEnrich,
+          usePartialHash
+        });
       } catch (error) {
         console.error(`Error processing ${folderPath}:`, error.message);
         scanStatus.errors.push({
@@ -115,7 +237,7 @@ export async function scanLibrary() {
     }
 
     scanStatus.lastScan = new Date().toISOString();
-    console.log(`Scan completed. Added: ${scanStatus.results.added}, Updated: ${scanStatus.results.updated}, Removed: ${scanStatus.results.removed}`);
+    console.log(`Scan completed. Added: ${scanStatus.results.added}, Updated: ${scanStatus.results.updated}, Removed: ${scanStatus.results.removed}, Skipped: ${scanStatus.results.skipped}`);
 
   } finally {
     scanStatus.scanning = false;
@@ -125,90 +247,170 @@ export async function scanLibrary() {
   return scanStatus.results;
 }
 
-function findBookFolders(libraryPath) {
+function findBookFolders(libraryPath, maxDepth) {
   const bookFolders = [];
 
-  // Scan for Author/BookTitle structure
+  // Scan for Author/BookTitle or Author/Series/BookTitle structure
   const authors = fs.readdirSync(libraryPath, { withFileTypes: true })
     .filter(d => d.isDirectory());
 
   for (const author of authors) {
-    const authorPath = path.join(libraryPath, author.name);
-    const books = fs.readdirSync(authorPath, { withFileTypes: true })
-      .filter(d => d.isDirectory());
-
-    for (const book of books) {
-      const bookPath = path.join(authorPath, book.name);
-      // Check if folder contains audio files
-      if (hasAudioFiles(bookPath)) {
-        bookFolders.push(bookPath);
-      }
-    }
+    bookFolders.push(...findBookFoldersIn(path.join(libraryPath, author.name), 1, maxDepth));
+  }
+
+  return bookFolders;
+}
 
-    // Also check if author folder itself contains audio (flat structure)
-    if (hasAudioFiles(authorPath)) {
-      bookFolders.push(authorPath);
+// depth is how far folderPath is below the library root (1 for author folders)
+function findBookFoldersIn(folderPath, depth, maxDepth) {
+  const bookFolders = [];
+
+  // A {title}-only layout has no folders below the top level to check
+  const children = depth < maxDepth
+    ? fs.readdirSync(folderPath, { withFileTypes: true }).filter(d => d.isDirectory())
+    : [];
+
+  for (const child of children) {
+    const childPath = path.join(folderPath, child.name);
+    // Check if folder contains audio files
+    if (hasAudioFiles(childPath)) {
+      bookFolders.push(childPath);
+    } else if (depth + 1 < maxDepth) {
+      // No audio of its own, so it may be a series folder holding books
+      bookFolders.push(...findBookFoldersIn(childPath, depth + 1, maxDepth));
     }
   }
 
+  // Also check if author folder itself contains audio (flat structure)
+  if (depth === 1 && hasAudioFiles(folderPath)) {
+    bookFolders.push(folderPath);
+  }
+
   return bookFolders;
 }
 
+function isDirectory(folderPath) {
+  try {
+    return fs.statSync(folderPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function listAudioFiles(folderPath) {
+  const extensions = getAudioExtensions();
+  return fs.readdirSync(folderPath)
+    .filter(f => isAudioFile(f, extensions))
+    .sort(naturalSort);
+}
+
 function hasAudioFiles(folderPath) {
   try {
+    const extensions = getAudioExtensions();
     const files = fs.readdirSync(folderPath);
-    return files.some(f => AUDIO_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+    return files.some(f => isAudioFile(f, extensions));
   } catch {
     return false;
   }
 }
 
-async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = false) {
-  const audioFiles = fs.readdirSync(folderPath)
-    .filter(f => AUDIO_EXTENSIONS.includes(path.extname(f).toLowerCase()))
-    .sort(naturalSort);
+async function processBookFolder(db, folderPath, existingBooks, { libraryPath, layout, shouldEnrich = false, usePartialHash = false }) {
+  const audioFiles = listAudioFiles(folderPath);
 
   if (audioFiles.length === 0) {
     return;
   }
 
   // Parse folder structure for default metadata
-  const parts = folderPath.split(path.sep).filter(p => p.length > 0);
-  const bookName = parts[parts.length - 1];
-  const authorName = parts[parts.length - 2];
+  const parts = path.relative(libraryPath, folderPath).split(path.sep).filter(p => p.length > 0);
+  const folderInfo = parseBookFolder(parts, layout);
 
   // Extract metadata from first audio file
   const firstFilePath = path.join(folderPath, audioFiles[0]);
   const metadata = await extractMetadata(firstFilePath);
 
+  // Sidecar files next to the audio
+  const sidecars = readSidecarMetadata(folderPath);
+
   console.log(`Processing: ${folderPath}`);
-  console.log(`  Book: ${bookName}, Author: ${authorName}`);
+  console.log(`  Folder:`, folderInfo);
   console.log(`  Metadata:`, { title: metadata.title, author: metadata.author, narrator: metadata.narrator });
+  if (sidecars.length > 0) {
+    console.log(`  Sidecars: ${sidecars.map(s => s.source).join(', ')}`);
+  }
 
-  // Use folder name for book title (more reliable than chapter metadata)
   // Only use metadata title if it doesn't look like a chapter name
   const isChapterTitle = metadata.title && (
     /^chapter\s+\d+/i.test(metadata.title) ||
     /^\d+\s*[-\.]\s*/i.test(metadata.title)
   );
 
-  const title = (!metadata.title || isChapterTitle) ? bookName : metadata.title;
-  const author = metadata.author || authorName;
-
-  // Ensure all metadata values are null instead of undefined
-  const narrator = metadata.narrator || null;
-  const description = metadata.description || null;
-  const year = metadata.year || null;
-  const genre = metadata.genre || null;
+  // Sidecar files win over embedded tags, which win over folder names
+  const { values, sources } = mergeMetadataLayers([
+    ...sidecars,
+    {
+      source: 'tags',
+      fields: {
+        title: isChapterTitle ? null : metadata.title,
+        author: metadata.author,
+        narrator: metadata.narrator,
+        description: metadata.description,
+        publication_year: metadata.year,
+        genre: metadata.genre
+      }
+    },
+    {
+      source: 'folder',
+      fields: {
+        title: folderInfo.title,
+        author: folderInfo.author,
+        series: folderInfo.series,
+        series_order: folderInfo.seriesOrder
+      }
+    }
+  ]);
 
   // Check if book exists
   const existingBook = db.prepare('SELECT * FROM books WHERE folder_path = ?').get(folderPath);
   existingBooks.delete(folderPath);
 
+  // Fields an admin has locked keep their stored value and source
+  const lockedFields = existingBook ? parseLockedFields(existingBook.locked_fields) : [];
+  for (const field of Object.keys(values)) {
+    if (isFieldLocked(lockedFields, field)) {
+      delete values[field];
+      delete sources[field];
+    }
+  }
+  const unlessLocked = (field, value) => isFieldLocked(lockedFields, field) ? existingBook[field] : value;
+
+  // Ensure all metadata values are null instead of undefined
+  const title = unlessLocked('title', values.title);
+  const author = unlessLocked('author', values.author || null);
+  const narrator = unlessLocked('narrator', values.narrator || null);
+  const description = unlessLocked('description', values.description || null);
+  const year = unlessLocked('publication_year', values.publication_year || null);
+  const genre = unlessLocked('genre', values.genre || null);
+  const publisher = values.publisher || null;
+  const isbn = values.isbn || null;
+  const asin = values.asin || null;
+  const language = values.language || null;
+  const tags = values.tags ? JSON.stringify(values.tags) : null;
+
   let bookId;
+  const before = existingBook ? getMetadataSnapshot(db, existingBook.id) : null;
 
   try {
     if (existingBook) {
+      const keptSources = {};
+      for (const [field, source] of Object.entries(parseMetadataSources(existingBook.metadata_sources))) {
+        // A new series always brings its own position, even if that's none
+        const replaced = field === 'series_order' ? sources.series : sources[field];
+        if (isFieldLocked(lockedFields, field) || (KEPT_WHEN_MISSING_FIELDS.includes(field) && !replaced)) {
+          keptSources[field] = source;
+        }
+      }
+
       // Update existing book
       console.log(`  Updating book ID ${existingBook.id}`);
       db.prepare(`
@@ -219,6 +421,12 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
           description = ?,
           publication_year = ?,
           genre = ?,
+          publisher = COALESCE(?, publisher),
+          isbn = COALESCE(?, isbn),
+          asin = COALESCE(?, asin),
+          language = COALESCE(?, language),
+          tags = COALESCE(?, tags),
+          metadata_sources = ?,
           updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `).run(
@@ -228,6 +436,12 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
         description,
         year,
         genre,
+        publisher,
+        isbn,
+        asin,
+        language,
+        tags,
+        JSON.stringify({ ...keptSources, ...sources }),
         existingBook.id
       );
       bookId = existingBook.id;
@@ -236,8 +450,11 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
       // Insert new book
       console.log(`  Inserting new book with params:`, { title, author, narrator, description, year, genre, folderPath });
       const result = db.prepare(`
-        INSERT INTO books (title, author, narrator, description, publication_year, genre, folder_path)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO books (
+          title, author, narrator, description, publication_year, genre,
+          publisher, isbn, asin, language, tags, metadata_sources, folder_path
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         title,
         author,
@@ -245,6 +462,12 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
         description,
         year,
         genre,
+        publisher,
+        isbn,
+        asin,
+        language,
+        tags,
+        JSON.stringify(sources),
         folderPath
       );
       bookId = result.lastInsertRowid;
@@ -256,38 +479,79 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
     throw error;
   }
 
-  // Process chapters (each file = one chapter for multi-file books)
-  console.log(`  Processing ${audioFiles.length} chapters`);
+  // Link the series from a sidecar or the folder layout; books with neither keep any series set by hand
+  if (values.series) {
+    const seriesId = findOrCreateSeries(db, values.series);
+    db.prepare('UPDATE books SET series_id = ?, series_order = ? WHERE id = ?')
+      .run(seriesId, values.series_order ?? null, bookId);
+  }
+
+  recordMetadataChange(db, bookId, before, 'scan');
+
+  // Process chapters (each file = one chapter for multi-file books,
+  // embedded chapter markers become virtual chapters within the file)
+  console.log(`  Processing ${audioFiles.length} audio files`);
   db.prepare('DELETE FROM chapters WHERE book_id = ?').run(bookId);
 
+  const insertChapter = db.prepare(`
+    INSERT INTO chapters (book_id, title, start_seconds, duration_seconds, file_path, file_start_seconds, file_end_seconds, order_index)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
   let totalDuration = 0;
   let chapterStart = 0;
+  let orderIndex = 0;
 
   for (let i = 0; i < audioFiles.length; i++) {
     const filePath = path.join(folderPath, audioFiles[i]);
     const fileMetadata = await extractMetadata(filePath);
-
-    const chapterTitle = fileMetadata.title || extractChapterTitle(audioFiles[i], i);
     const duration = fileMetadata.duration || 0;
 
-    try {
-      db.prepare(`
-        INSERT INTO chapters (book_id, title, start_seconds, duration_seconds, file_path, order_index)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(bookId, chapterTitle, chapterStart, duration, filePath, i);
-    } catch (error) {
-      console.error(`  Chapter ${i} error:`, error.message);
-      console.error(`  Chapter params:`, { bookId, chapterTitle, chapterStart, duration, filePath, i });
-      throw error;
+    const embeddedChapters = await getEmbeddedChapters(filePath);
+
+    // A single embedded marker covers the whole file, so it adds nothing
+    const chapterRows = embeddedChapters.length > 1
+      ? embeddedChapters.map(ch => {
+        const end = ch.endTime ?? duration;
+        return {
+          title: ch.title,
+          duration: Math.max(0, end - ch.startTime),
+          fileStart: ch.startTime,
+          fileEnd: end
+        };
+      })
+      : [{
+        title: fileMetadata.title || extractChapterTitle(audioFiles[i], i),
+        duration,
+        fileStart: 0,
+        fileEnd: null
+      }];
+
+    if (embeddedChapters.length > 1) {
+      console.log(`  Found ${embeddedChapters.length} embedded chapters in ${audioFiles[i]}`);
     }
 
-    chapterStart += duration;
-    totalDuration += duration;
+    for (const row of chapterRows) {
+      try {
+        insertChapter.run(bookId, row.title, chapterStart, row.duration, filePath, row.fileStart, row.fileEnd, orderIndex);
+      } catch (error) {
+        console.error(`  Chapter ${orderIndex} error:`, error.message);
+        console.error(`  Chapter params:`, { bookId, ...row, chapterStart, filePath, orderIndex });
+        throw error;
+      }
+
+      chapterStart += row.duration;
+      totalDuration += row.duration;
+      orderIndex++;
+    }
   }
 
   // Update book duration
   db.prepare('UPDATE books SET duration_seconds = ? WHERE id = ?').run(totalDuration, bookId);
 
+  // Remember file fingerprints so quick scans can skip this folder next time
+  saveFingerprints(db, bookId, listFingerprintedFiles(folderPath), usePartialHash);
+
   // Extract cover art if not already present
   const book = db.prepare('SELECT * FROM books WHERE id = ?').get(bookId);
   if (!book.cover_path || !fs.existsSync(book.cover_path)) {
@@ -320,6 +584,141 @@ async function processBookFolder(db, folderPath, existingBooks, shouldEnrich = f
   }
 }
 
+/**
+ * Find a series by name, ignoring case, or create it
+ * @param {Object} db - Database connection
+ * @param {string} name - Series name
+ * @returns {number} - Series ID
+ */
+export function findOrCreateSeries(db, name) {
+  const existing = db.prepare('SELECT id FROM series WHERE name = ? COLLATE NOCASE').get(name);
+  if (existing) {
+    return existing.id;
+  }
+
+  console.log(`  Creating series: ${name}`);
+  return db.prepare('INSERT INTO series (name) VALUES (?)').run(name).lastInsertRowid;
+}
+
+function fingerprintFile(filePath, usePartialHash) {
+  const stat = fs.statSync(filePath);
+  return {
+    size: stat.size,
+    mtimeMs: Math.floor(stat.mtimeMs),
+    partialHash: usePartialHash ? computePartialHash(filePath, stat.size) : null
+  };
+}
+
+// Hash the first and last chunk of a file; catches content changes that keep size and mtime
+function computePartialHash(filePath, size) {
+  const hash = crypto.createHash('md5');
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const headLength = Math.min(PARTIAL_HASH_BYTES, size);
+    const head = Buffer.alloc(headLength);
+    fs.readSync(fd, head, 0, headLength, 0);
+    hash.update(head);
+
+    if (size > PARTIAL_HASH_BYTES) {
+      const tailLength = Math.min(PARTIAL_HASH_BYTES, size - PARTIAL_HASH_BYTES);
+      const tail = Buffer.alloc(tailLength);
+      fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+      hash.update(tail);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return hash.digest('hex');
+}
+
+// Audio and sidecar files, so an edited, added or removed metadata.json, .opf, desc.txt or
+// reader.txt makes the folder count as changed
+function listFingerprintedFiles(folderPath) {
+  return [
+    ...listAudioFiles(folderPath).map(f => path.join(folderPath, f)),
+    ...findSidecarFiles(folderPath).map(sidecar => sidecar.filePath)
+  ];
+}
+
+function isFolderUnchanged(db, folderPath, usePartialHash) {
+  const book = db.prepare('SELECT id FROM books WHERE folder_path = ?').get(folderPath);
+  if (!book) {
+    return false;
+  }
+
+  const stored = db.prepare('SELECT * FROM file_fingerprints WHERE book_id = ?').all(book.id);
+  const filePaths = listFingerprintedFiles(folderPath);
+
+  if (stored.length === 0 || stored.length !== filePaths.length) {
+    return false;
+  }
+
+  const storedByPath = new Map(stored.map(fp => [fp.file_path, fp]));
+
+  for (const filePath of filePaths) {
+    const previous = storedByPath.get(filePath);
+    if (!previous) {
+      return false;
+    }
+
+    // Fingerprints stored before hashing was enabled have no baseline to compare against
+    if (usePartialHash && !previous.partial_hash) {
+      return false;
+    }
+
+    const current = fingerprintFile(filePath, usePartialHash);
+    if (current.size !== previous.size || current.mtimeMs !== previous.mtime_ms) {
+      return false;
+    }
+    if (usePartialHash && current.partialHash !== previous.partial_hash) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function saveFingerprints(db, bookId, filePaths, usePartialHash) {
+  const insertFingerprint = db.prepare(`
+    INSERT OR REPLACE INTO file_fingerprints (book_id, file_path, size, mtime_ms, partial_hash, scanned_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM file_fingerprints WHERE book_id = ?').run(bookId);
+    for (const filePath of filePaths) {
+      const fp = fingerprintFile(filePath, usePartialHash);
+      insertFingerprint.run(bookId, filePath, fp.size, fp.mtimeMs, fp.partialHash);
+    }
+  })();
+}
+
+/**
+ * Update the stored fingerprints of files the app itself rewrote, such as by writing tags,
+ * so quick scans and the watcher don't take them for outside changes. Files without a
+ * stored fingerprint are left for the next scan
+ * @param {Object} db - Database connection
+ * @param {string[]} filePaths - Rewritten files
+ */
+export function refreshFileFingerprints(db, filePaths) {
+  const findFingerprint = db.prepare('SELECT partial_hash FROM file_fingerprints WHERE file_path = ?');
+  const updateFingerprint = db.prepare(`
+    UPDATE file_fingerprints SET size = ?, mtime_ms = ?, partial_hash = ?, scanned_at = CURRENT_TIMESTAMP
+    WHERE file_path = ?
+  `);
+
+  for (const filePath of filePaths) {
+    const previous = findFingerprint.get(filePath);
+    if (!previous) continue;
+
+    // Keep hashing only where the last scan did
+    const fp = fingerprintFile(filePath, Boolean(previous.partial_hash));
+    updateFingerprint.run(fp.size, fp.mtimeMs, fp.partialHash, filePath);
+  }
+}
+
 function extractChapterTitle(filename, index) {
   // Remove extension
   let name = path.basename(filename, path.extname(filename));
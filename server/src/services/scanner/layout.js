@@ -0,0 +1,123 @@
+import { getDb } from '../../database/init.js';
+
+/**
+ * Library Layout
+ * Maps book folder paths to author, series and title using the admin's layout
+ * template, and pulls series sequence numbers out of folder names
+ */
+
+export const LAYOUT_TOKENS = ['{author}', '{series}', '{title}'];
+
+export const DEFAULT_LIBRARY_LAYOUT = '{author}/{series}/{title}';
+
+// Levels a folder can be missing and still match, dropped in this order
+const OPTIONAL_TOKENS = ['{series}', '{author}'];
+
+// Sequence markers: "Book 3", "Vol. 3", "Volume 3", "#3"
+const SEQUENCE_MARKER = /(?:\bbook|\bvol(?:ume)?\.?|#)\s*(\d+(?:\.\d+)?)\b/i;
+
+// Leading number before a separator: "03 - Title", "3. Title", "03_Title".
+// At most three digits so years like "1984 - ..." aren't read as a position
+const SEQUENCE_PREFIX = /^(\d{1,3}(?:\.\d+)?)\s*[-._)]\s*(.+)$/;
+
+/**
+ * Get the layout template from settings
+ * @returns {string[]} - Template segments, e.g. ['{author}', '{series}', '{title}']
+ */
+export function getLibraryLayout() {
+  const db = getDb();
+  const setting = db.prepare("SELECT value FROM settings WHERE key = 'library_layout'").get();
+
+  try {
+    return parseLibraryLayout(setting?.value || DEFAULT_LIBRARY_LAYOUT);
+  } catch (error) {
+    console.error(`[Layout] ${error.message}; using ${DEFAULT_LIBRARY_LAYOUT}`);
+    return parseLibraryLayout(DEFAULT_LIBRARY_LAYOUT);
+  }
+}
+
+/**
+ * Parse and validate a layout template such as "{author}/{series}/{title}"
+ * @param {string} template - Layout template
+ * @returns {string[]} - Template segments
+ * @throws {Error} - If the template is invalid
+ */
+export function parseLibraryLayout(template) {
+  const segments = String(template)
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment.length > 0);
+
+  const unknown = segments.filter(segment => !LAYOUT_TOKENS.includes(segment));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown layout segments: ${unknown.join(', ')}. Each folder level must be one of: ${LAYOUT_TOKENS.join(', ')}`);
+  }
+
+  if (new Set(segments).size !== segments.length) {
+    throw new Error('Each layout segment may only appear once');
+  }
+
+  if (segments[segments.length - 1] !== '{title}') {
+    throw new Error('The layout must end with {title}');
+  }
+
+  return segments;
+}
+
+/**
+ * Work out author, series and title from a book folder's path
+ * @param {string[]} parts - Folder names from the library root down to the book folder
+ * @param {string[]} layout - Template segments, from getLibraryLayout()
+ * @returns {Object} - { author, series, seriesOrder, title }; missing levels are null
+ */
+export function parseBookFolder(parts, layout) {
+  // Shallower folders (e.g. Author/Book under a series layout) skip the optional levels
+  let segments = layout;
+  for (const token of OPTIONAL_TOKENS) {
+    if (parts.length >= segments.length) break;
+    segments = segments.filter(segment => segment !== token);
+  }
+
+  const names = parts.slice(-segments.length);
+  const valueOf = (token) => {
+    const index = segments.indexOf(token);
+    return index >= 0 && names[index] ? names[index] : null;
+  };
+
+  const folderTitle = valueOf('{title}');
+  const series = valueOf('{series}');
+
+  // Only read positions inside a series; elsewhere "03 - ..." is just part of the name
+  const sequence = series ? parseSequence(folderTitle) : { order: null, title: folderTitle };
+
+  return {
+    author: valueOf('{author}'),
+    series,
+    seriesOrder: sequence.order,
+    title: sequence.title
+  };
+}
+
+/**
+ * Pull a series position out of a folder name
+ * @param {string} name - Folder name, e.g. "01 - The Way of Kings" or "Mistborn (Book 2)"
+ * @returns {Object} - { order, title } with the marker removed from the title; order is null if none was found
+ */
+export function parseSequence(name) {
+  const prefix = name.match(SEQUENCE_PREFIX);
+  if (prefix) {
+    return { order: parseFloat(prefix[1]), title: prefix[2].trim() };
+  }
+
+  const marker = name.match(SEQUENCE_MARKER);
+  if (marker) {
+    // Drop the brackets and separators around the marker, then rejoin what's either side
+    const before = name.slice(0, marker.index).replace(/[\s,:;._([{-]+$/, '');
+    const after = name.slice(marker.index + marker[0].length).replace(/^[\s,:;._)\]}-]+/, '');
+    const title = [before, after].filter(part => part.length > 0).join(' - ');
+
+    return { order: parseFloat(marker[1]), title: title || name };
+  }
+
+  return { order: null, title: name };
+}
@@ -0,0 +1,225 @@
+import cron from 'node-cron';
+import { getDb } from '../../database/init.js';
+import { scanLibrary, getScanStatus } from '../scanner/index.js';
+import { cleanupExpiredCache } from '../metadata/apiCache.js';
+
+/**
+ * Scheduler Service
+ * Runs library scans on the scan_schedule cron expression and periodic maintenance
+ */
+
+// Expired API cache entries are purged daily at 04:00
+const CACHE_CLEANUP_SCHEDULE = '0 4 * * *';
+
+let scanTask = null;
+let cacheCleanupTask = null;
+
+let scheduleStatus = {
+  expression: '',
+  lastRun: null,
+  lastResult: null,
+  lastError: null
+};
+
+/**
+ * Start all scheduled jobs, reading the scan schedule from settings
+ */
+export function startScheduler() {
+  const db = getDb();
+  const scanSchedule = db.prepare("SELECT value FROM settings WHERE key = 'scan_schedule'").get()?.value || '';
+
+  try {
+    rescheduleLibraryScan(scanSchedule);
+  } catch (error) {
+    // An invalid stored expression shouldn't prevent the server from starting
+    console.error('[Scheduler] Not scheduling library scans:', error.message);
+  }
+
+  if (!cacheCleanupTask) {
+    cacheCleanupTask = cron.schedule(CACHE_CLEANUP_SCHEDULE, () => {
+      console.log('[Scheduler] Cleaning up expired API cache entries');
+      cleanupExpiredCache();
+    });
+  }
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopScheduler() {
+  if (scanTask) {
+    scanTask.stop();
+    scanTask = null;
+  }
+  if (cacheCleanupTask) {
+    cacheCleanupTask.stop();
+    cacheCleanupTask = null;
+  }
+}
+
+/**
+ * Check whether a scan schedule is acceptable (empty disables scheduling)
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+export function isValidSchedule(expression) {
+  const trimmed = String(expression || '').trim();
+  return trimmed === '' || cron.validate(trimmed);
+}
+
+/**
+ * Replace the scheduled library scan with a new cron expression
+ * @param {string} expression - Cron expression, or empty to disable
+ */
+export function rescheduleLibraryScan(expression) {
+  const trimmed = String(expression || '').trim();
+
+  if (!isValidSchedule(trimmed)) {
+    throw new Error(`Invalid cron expression: ${trimmed}`);
+  }
+
+  if (scanTask) {
+    scanTask.stop();
+    scanTask = null;
+  }
+
+  scheduleStatus.expression = trimmed;
+
+  if (!trimmed) {
+    console.log('[Scheduler] Scheduled library scans disabled');
+    return;
+  }
+
+  scanTask = cron.schedule(trimmed, runScheduledScan);
+  console.log(`[Scheduler] Library scans scheduled: "${trimmed}"`);
+}
+
+/**
+ * Get scheduled scan status
+ * @returns {Object} - Expression, last run and next run times
+ */
+export function getScheduleStatus() {
+  const enabled = Boolean(scanTask);
+  const nextRun = enabled ? getNextRunTime(scheduleStatus.expression) : null;
+
+  return {
+    enabled,
+    expression: scheduleStatus.expression,
+    lastRun: scheduleStatus.lastRun,
+    lastResult: scheduleStatus.lastResult,
+    lastError: scheduleStatus.lastError,
+    nextRun: nextRun ? nextRun.toISOString() : null
+  };
+}
+
+async function runScheduledScan() {
+  if (getScanStatus().scanning) {
+    console.log('[Scheduler] Skipping scheduled scan, a scan is already in progress');
+    return;
+  }
+
+  console.log('[Scheduler] Starting scheduled library scan');
+  scheduleStatus.lastRun = new Date().toISOString();
+
+  try {
+    scheduleStatus.lastResult = await scanLibrary();
+    scheduleStatus.lastError = null;
+  } catch (error) {
+    console.error('[Scheduler] Scheduled scan failed:', error.message);
+    scheduleStatus.lastResult = null;
+    scheduleStatus.lastError = error.message;
+  }
+}
+
+// ==================== NEXT RUN CALCULATION ====================
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// second, minute, hour, day of month, month, day of week
+const FIELD_BOUNDS = [[0, 59], [0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+// Give up after this many iterations (each one advances at least a second)
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Compute the next time a cron expression fires, using node-cron semantics
+ * (optional seconds field, day of month AND day of week must both match)
+ * @param {string} expression - Valid cron expression
+ * @param {Date} from - Start searching after this time
+ * @returns {Date|null} - Next run time or null if none found
+ */
+function getNextRunTime(expression, from = new Date()) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, i) => {
+    let field = part.toLowerCase();
+    if (i === 4) field = replaceNames(field, MONTH_NAMES, 1);
+    if (i === 5) field = replaceNames(field, WEEKDAY_NAMES, 0);
+    return parseField(field, FIELD_BOUNDS[i]);
+  });
+
+  // Sunday may be written as 7
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const date = new Date(from.getTime());
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0);
+    } else if (!days.has(date.getDate()) || !weekdays.has(date.getDay())) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0);
+    } else if (!seconds.has(date.getSeconds())) {
+      date.setSeconds(date.getSeconds() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+function replaceNames(field, names, offset) {
+  return names.reduce(
+    (result, name, index) => result.replace(new RegExp(`${name}[a-z]*`, 'g'), String(index + offset)),
+    field
+  );
+}
+
+function parseField(field, [min, max]) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr ? parseInt(stepStr, 10) : 1;
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(v => parseInt(v, 10));
+    } else {
+      start = parseInt(range, 10);
+      end = stepStr ? max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
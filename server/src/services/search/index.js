@@ -0,0 +1,218 @@
+/**
+ * Search Service
+ * Turns what users type into FTS5 queries against books_fts and transcripts_fts,
+ * and shapes the matches for API responses
+ */
+
+// Column weights for bm25(books_fts): title, author, narrator, series, description, api_description
+const BOOK_COLUMN_WEIGHTS = [10, 5, 3, 5, 1, 1];
+
+// Transcript matches reported per book
+const TRANSCRIPT_MATCHES_PER_BOOK = 3;
+
+// snippet() wraps matched terms in these, then formatSnippet() splits on them, so
+// highlighting never needs HTML
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Tokens in the query: "quoted phrases" (closing quote optional while typing) and bare terms
+const QUERY_TOKEN_PATTERN = /"([^"]*)"?|(\S+)/g;
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * A piece of a snippet, highlighted where it matched the query
+ * @typedef {Object} SnippetSegment
+ * @property {string} text
+ * @property {boolean} highlight
+ */
+
+/**
+ * Where a book matched a search; a sentence's position is in the whole book
+ * @typedef {Object} BookSearchMatch
+ * @property {SnippetSegment[]|null} snippet - Best matching metadata, if the metadata matched
+ * @property {Array<{ chapter_index: number, position_seconds: number, snippet: SnippetSegment[]|null }>} transcript_matches - The first few matching transcript sentences
+ * @property {number} transcript_match_count - Matching transcript sentences in total
+ */
+
+/**
+ * Build an FTS5 MATCH expression from a search box query. Every term must match;
+ * "quoted phrases" match as a phrase and term* matches as a prefix. The last term
+ * also matches as a prefix while it's still being typed
+ * @param {string} input - Query as typed
+ * @returns {string|null} - MATCH expression, or null if the query has no words
+ */
+export function buildMatchQuery(input) {
+  if (typeof input !== 'string') return null;
+
+  const terms = [];
+  let lastBareTerm = -1;
+
+  for (const [, phrase, bare] of input.matchAll(QUERY_TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      if (WORD_PATTERN.test(phrase)) {
+        terms.push(quoteTerm(phrase));
+      }
+      continue;
+    }
+
+    const prefix = bare.endsWith('*');
+    const word = bare.replace(/\*+$/, '');
+    if (!WORD_PATTERN.test(word)) continue;
+
+    terms.push(quoteTerm(word) + (prefix ? '*' : ''));
+    lastBareTerm = prefix ? -1 : terms.length - 1;
+  }
+
+  if (terms.length === 0) return null;
+
+  // Search as you type: "brando sand" should find Brandon Sanderson
+  if (lastBareTerm === terms.length - 1 && !/\s$/.test(input)) {
+    terms[lastBareTerm] += '*';
+  }
+
+  return terms.join(' ');
+}
+
+function quoteTerm(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQL for the rank of each book whose metadata matches; takes the MATCH expression
+ * as a parameter. Lower ranks are better
+ * @returns {string} - Subquery selecting book_id and rank
+ */
+export function bookRankQuery() {
+  return `SELECT rowid AS book_id, bm25(books_fts, ${BOOK_COLUMN_WEIGHTS.join(', ')}) AS rank FROM books_fts WHERE books_fts MATCH ?`;
+}
+
+/**
+ * SQL for the best rank of each book whose transcript matches; takes the MATCH
+ * expression as a parameter. Lower ranks are better
+ * @returns {string} - Subquery selecting book_id and rank
+ */
+export function transcriptRankQuery() {
+  return 'SELECT book_id, MIN(rank) AS rank FROM transcripts_fts WHERE transcripts_fts MATCH ? GROUP BY book_id';
+}
+
+/**
+ * Find where each book matched a search
+ * @param {Object} db - Database connection
+ * @param {string} match - MATCH expression from buildMatchQuery()
+ * @param {number[]} bookIds - Books to describe
+ * @param {Object} options
+ * @param {boolean} options.transcripts - Also look for transcript matches
+ * @returns {Map<number, BookSearchMatch>}
+ */
+export function getSearchMatches(db, match, bookIds, { transcripts = true } = {}) {
+  const matches = new Map();
+  if (bookIds.length === 0) return matches;
+
+  const placeholders = bookIds.map(() => '?').join(', ');
+
+  const snippets = db.prepare(`
+    SELECT rowid AS book_id, snippet(books_fts, -1, ?, ?, '…', 16) AS snippet
+    FROM books_fts
+    WHERE books_fts MATCH ? AND rowid IN (${placeholders})
+  `).all(HIGHLIGHT_START, HIGHLIGHT_END, match, ...bookIds);
+
+  for (const bookId of bookIds) {
+    matches.set(bookId, { snippet: null, transcript_matches: [], transcript_match_count: 0 });
+  }
+  for (const row of snippets) {
+    matches.get(row.book_id).snippet = formatSnippet(row.snippet);
+  }
+
+  if (transcripts) {
+    addTranscriptMatches(db, match, bookIds, matches);
+  }
+
+  return matches;
+}
+
+function addTranscriptMatches(db, match, bookIds, matches) {
+  const placeholders = bookIds.map(() => '?').join(', ');
+
+  // Find every matching sentence cheaply, then only make snippets for the first few
+  // of each book. Rowids follow transcript order, so these are the earliest matches
+  const sentences = db.prepare(`
+    SELECT rowid, book_id
+    FROM transcripts_fts
+    WHERE transcripts_fts MATCH ? AND book_id IN (${placeholders})
+    ORDER BY rowid
+  `).all(match, ...bookIds);
+
+  if (sentences.length === 0) return;
+
+  const shown = [];
+  for (const sentence of sentences) {
+    const bookMatches = matches.get(sentence.book_id);
+    bookMatches.transcript_match_count++;
+    if (bookMatches.transcript_match_count <= TRANSCRIPT_MATCHES_PER_BOOK) {
+      shown.push(sentence.rowid);
+    }
+  }
+
+  const rows = db.prepare(`
+    SELECT book_id, chapter_index, start_seconds, snippet(transcripts_fts, 0, ?, ?, '…', 24) AS snippet
+    FROM transcripts_fts
+    WHERE transcripts_fts MATCH ? AND rowid IN (${shown.map(() => '?').join(', ')})
+    ORDER BY rowid
+  `).all(HIGHLIGHT_START, HIGHLIGHT_END, match, ...shown);
+
+  const offsets = getChapterOffsets(db, bookIds);
+
+  for (const row of rows) {
+    const offset = offsets.get(row.book_id)?.get(row.chapter_index) || 0;
+    matches.get(row.book_id).transcript_matches.push({
+      chapter_index: row.chapter_index,
+      position_seconds: offset + (row.start_seconds || 0),
+      snippet: formatSnippet(row.snippet)
+    });
+  }
+}
+
+// Transcript times are relative to their chapter; this is where each chapter starts in the book
+function getChapterOffsets(db, bookIds) {
+  const chapters = db.prepare(`
+    SELECT book_id, order_index, duration_seconds
+    FROM chapters
+    WHERE book_id IN (${bookIds.map(() => '?').join(', ')})
+    ORDER BY book_id, order_index ASC
+  `).all(...bookIds);
+
+  const offsets = new Map();
+  for (const chapter of chapters) {
+    if (!offsets.has(chapter.book_id)) {
+      offsets.set(chapter.book_id, { elapsed: 0, chapters: new Map() });
+    }
+    const book = offsets.get(chapter.book_id);
+    book.chapters.set(chapter.order_index, book.elapsed);
+    book.elapsed += chapter.duration_seconds || 0;
+  }
+
+  return new Map([...offsets].map(([bookId, book]) => [bookId, book.chapters]));
+}
+
+/**
+ * Split a snippet into plain and highlighted segments
+ * @param {string|null} snippet - snippet() output using the highlight markers
+ * @returns {SnippetSegment[]|null}
+ */
+export function formatSnippet(snippet) {
+  if (!snippet) return null;
+
+  const segments = [];
+  for (const part of snippet.split(HIGHLIGHT_START)) {
+    const end = part.indexOf(HIGHLIGHT_END);
+    if (end === -1) {
+      if (part) segments.push({ text: part, highlight: false });
+      continue;
+    }
+    if (end > 0) segments.push({ text: part.substring(0, end), highlight: true });
+    if (end < part.length - 1) segments.push({ text: part.substring(end + 1), highlight: false });
+  }
+
+  // A snippet without highlights matched in another column; it says nothing useful
+  return segments.some(segment => segment.highlight) ? segments : null;
+}
@@ -0,0 +1,192 @@
+/**
+ * Library Query Language
+ * Parses searches like `author:"Sanderson" narrator:Kramer duration:>10h year:2010..2020
+ * status:unfinished tag:scifi` into SQL conditions for a "books b" query joined with
+ * BOOK_JOINS. Field values only ever reach SQL as parameters; anything that isn't a
+ * field is left as text for the full-text search
+ */
+
+// Fields matched as text anywhere in a column
+const TEXT_FIELDS = {
+  title: 'b.title',
+  author: 'b.author',
+  narrator: 'b.narrator',
+  series: 's.name',
+  genre: 'b.genre',
+  publisher: 'b.publisher',
+  language: 'b.language'
+};
+
+// Reading status of the current user, also used by the status filter on GET /api/books
+export const STATUS_CONDITIONS = {
+  in_progress: 'up.position_seconds > 0 AND (up.completed = 0 OR up.completed IS NULL)',
+  not_started: '(up.position_seconds IS NULL OR up.position_seconds = 0)',
+  unfinished: '(up.completed = 0 OR up.completed IS NULL)',
+  completed: 'up.completed = 1',
+  finished: 'up.completed = 1'
+};
+
+export const QUERY_FIELDS = [...Object.keys(TEXT_FIELDS), 'tag', 'duration', 'year', 'status'];
+
+// field:value, field:"quoted value" or -field:value to exclude; otherwise a phrase or word
+const TOKEN_PATTERN = /(-?)([a-z_]+):(?:"([^"]*)"?|(\S*))|"[^"]*"?|\S+/gi;
+
+// 10h, 90m, 1h30m, 45s, or a plain number of hours
+const DURATION_PATTERN = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?$/i;
+
+/**
+ * A search split into SQL conditions and free text
+ * @typedef {Object} LibraryQuery
+ * @property {string} text - Words for the full-text search
+ * @property {string[]} conditions - SQL conditions, all of which must hold
+ * @property {Array} params - Parameters for the conditions, in order
+ */
+
+/**
+ * Parse a library search
+ * @param {string} input - Search as typed
+ * @returns {LibraryQuery}
+ * @throws {Error} - If a field has a value it can't use, such as duration:soon
+ */
+export function parseLibraryQuery(input) {
+  const query = { text: '', conditions: [], params: [] };
+  if (typeof input !== 'string') return query;
+
+  const words = [];
+  let endsWithField = false;
+
+  for (const [token, negate, name, quoted, bare] of input.matchAll(TOKEN_PATTERN)) {
+    const field = name?.toLowerCase();
+
+    if (!field || !QUERY_FIELDS.includes(field)) {
+      words.push(token);
+      endsWithField = false;
+      continue;
+    }
+
+    endsWithField = true;
+
+    // A field still being typed doesn't filter anything yet
+    const value = (quoted ?? bare).trim();
+    if (!value) continue;
+
+    const condition = buildCondition(field, value);
+    query.conditions.push(negate ? `NOT IFNULL(${condition.sql}, 0)` : condition.sql);
+    query.params.push(...condition.params);
+  }
+
+  // Only the free text's last word is still being typed, not a field after it
+  query.text = words.join(' ') + (endsWithField || /\s$/.test(input) ? ' ' : '');
+  return query;
+}
+
+function buildCondition(field, value) {
+  if (TEXT_FIELDS[field]) {
+    return { sql: `${TEXT_FIELDS[field]} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(value)}%`] };
+  }
+
+  if (field === 'tag') {
+    // Tags are a JSON array; anything else has no tags
+    return {
+      sql: `EXISTS (
+        SELECT 1 FROM json_each(CASE WHEN json_valid(b.tags) THEN b.tags ELSE '[]' END) tag
+        WHERE tag.value LIKE ? ESCAPE '\\'
+      )`,
+      params: [escapeLike(value)]
+    };
+  }
+
+  if (field === 'status') {
+    const status = value.toLowerCase().replace(/-/g, '_');
+    if (!Object.hasOwn(STATUS_CONDITIONS, status)) {
+      throw new Error(`Unknown status "${value}". Use one of: ${Object.keys(STATUS_CONDITIONS).join(', ')}`);
+    }
+    return { sql: `(${STATUS_CONDITIONS[status]})`, params: [] };
+  }
+
+  if (field === 'duration') {
+    const range = parseRange(value, parseDuration);
+    if (!range) {
+      throw new Error(`Invalid duration "${value}". Use a comparison or range, like duration:>10h or duration:5h..8h30m`);
+    }
+    if (range.exact !== undefined) {
+      throw new Error(`Durations need a comparison or range, like duration:>${value}`);
+    }
+    return rangeCondition('b.duration_seconds', range);
+  }
+
+  // year
+  const range = parseRange(value, parseYear);
+  if (!range) {
+    throw new Error(`Invalid year "${value}". Use a year, comparison or range, like year:>2000 or year:2010..2020`);
+  }
+  return rangeCondition('b.publication_year', range);
+}
+
+/**
+ * Parse a comparison (>x, >=x, <x, <=x), range (x..y, x.., ..y) or exact value
+ * @param {string} value
+ * @param {function(string): number|null} parseValue - Parses one side, null if invalid
+ * @returns {Object|null} - { min, minInclusive, max, maxInclusive } or { exact }; null if invalid
+ */
+function parseRange(value, parseValue) {
+  const comparison = value.match(/^(>=|<=|>|<|=)(.+)$/);
+  if (comparison) {
+    const [, operator, operand] = comparison;
+    const number = parseValue(operand);
+    if (number === null) return null;
+    if (operator === '=') return { exact: number };
+    return operator.startsWith('>')
+      ? { min: number, minInclusive: operator === '>=' }
+      : { max: number, maxInclusive: operator === '<=' };
+  }
+
+  if (value.includes('..')) {
+    const [from, to, ...rest] = value.split('..');
+    if (rest.length > 0 || (!from && !to)) return null;
+    const min = from ? parseValue(from) : undefined;
+    const max = to ? parseValue(to) : undefined;
+    if (min === null || max === null) return null;
+    return { min, minInclusive: true, max, maxInclusive: true };
+  }
+
+  const number = parseValue(value);
+  return number === null ? null : { exact: number };
+}
+
+function rangeCondition(column, range) {
+  if (range.exact !== undefined) {
+    return { sql: `${column} = ?`, params: [range.exact] };
+  }
+
+  const sql = [];
+  const params = [];
+  if (range.min !== undefined) {
+    sql.push(`${column} ${range.minInclusive ? '>=' : '>'} ?`);
+    params.push(range.min);
+  }
+  if (range.max !== undefined) {
+    sql.push(`${column} ${range.maxInclusive ? '<=' : '<'} ?`);
+    params.push(range.max);
+  }
+  return { sql: `(${sql.join(' AND ')})`, params };
+}
+
+// Seconds in a duration like 10h, 1h30m or 90m; a plain number is hours
+function parseDuration(text) {
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * 3600;
+
+  const match = text.match(DURATION_PATTERN);
+  if (!match || !(match[1] || match[2] || match[3])) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return parseFloat(hours) * 3600 + parseFloat(minutes) * 60 + parseFloat(seconds);
+}
+
+function parseYear(text) {
+  return /^\d{1,4}$/.test(text) ? parseInt(text, 10) : null;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
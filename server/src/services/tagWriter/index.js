@@ -0,0 +1,537 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import * as musicMetadata from 'music-metadata';
+import { getDb } from '../../database/init.js';
+import { config } from '../../config/index.js';
+import { detectFfmpeg } from '../transcoder/index.js';
+import { getEmbeddedChapters } from '../metadata/index.js';
+import { getBookCoverFile, getImageInfo, convertCoverToJpeg } from '../covers/index.js';
+import { refreshFileFingerprints } from '../scanner/index.js';
+
+/**
+ * Tag Writer Service
+ * Writes a book's metadata from the database back into its audio files
+ * (ID3v2 for MP3, iTunes atoms for M4A/M4B) by remuxing them with ffmpeg
+ */
+
+// Formats tags can be written to
+export const TAG_WRITE_EXTENSIONS = ['.mp3', '.m4a', '.m4b'];
+
+const MP4_EXTENSIONS = ['.m4a', '.m4b'];
+
+// Remuxing copies the whole file, which takes a while for long single-file books
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Cover formats ffmpeg can embed as they are: its MP4 muxer skips other cover art, and its
+// MP3 muxer rejects pictures of types it doesn't know. Other covers are converted to JPEG
+const EMBEDDABLE_COVER_FORMATS = ['jpg', 'png'];
+
+// Chapter starts closer than this count as unchanged
+const CHAPTER_TOLERANCE_SECONDS = 0.5;
+
+// Human-readable names for the tag keys in previews
+const TAG_LABELS = {
+  title: 'Title',
+  album: 'Album',
+  artist: 'Artist',
+  album_artist: 'Album Artist',
+  composer: 'Composer (narrator)',
+  date: 'Year',
+  genre: 'Genre',
+  comment: 'Comment',
+  description: 'Description',
+  grouping: 'Grouping (series)',
+  series: 'Series',
+  'series-part': 'Series Part'
+};
+
+// Books being written, so two requests can't remux the same files at once
+const booksInProgress = new Set();
+
+let batchStatus = createBatchStatus();
+
+function createBatchStatus(overrides = {}) {
+  return {
+    running: false,
+    dryRun: false,
+    backup: false,
+    progress: 0,
+    total: 0,
+    current: '',
+    results: {
+      written: 0,
+      unchanged: 0,
+      skipped: 0,
+      failed: 0
+    },
+    errors: [],
+    finishedAt: null,
+    ...overrides
+  };
+}
+
+/**
+ * Check whether tags can be written (ffmpeg is needed)
+ * @returns {boolean}
+ */
+export function canWriteTags() {
+  return detectFfmpeg().available;
+}
+
+/**
+ * Check whether tags are being written for a book, by a single write or a batch
+ * @param {number} bookId - Book ID
+ * @returns {boolean}
+ */
+export function isWritingBookTags(bookId) {
+  return booksInProgress.has(String(bookId));
+}
+
+/**
+ * Work out what writing tags would change in each of a book's files
+ * @param {number} bookId - Book ID
+ * @returns {Promise<Object>} - { book_id, title, files: [{ file, format, supported, tags, cover, chapters, changed }] }
+ */
+export async function previewBookTags(bookId) {
+  const plan = getBookTagPlan(bookId);
+  const cover = await loadEmbeddableCover(plan.coverPath);
+  const files = [];
+
+  for (const file of plan.files) {
+    files.push(await previewFile(file, cover));
+  }
+
+  return {
+    book_id: plan.book.id,
+    title: plan.book.title,
+    cover_path: plan.coverPath,
+    files,
+    // Kept for writing; not part of the API response
+    _cover: cover
+  };
+}
+
+/**
+ * Write a book's metadata into its audio files
+ * @param {number} bookId - Book ID
+ * @param {Object} options - { backup: keep a .bak copy of each file before changing it }
+ * @returns {Promise<Object>} - Preview with a `status` per file: written, unchanged, skipped or failed
+ */
+export async function writeBookTags(bookId, { backup = false } = {}) {
+  if (!canWriteTags()) {
+    throw new Error('ffmpeg is required to write tags');
+  }
+
+  const key = String(bookId);
+  if (booksInProgress.has(key)) {
+    throw new Error('Tags are already being written for this book');
+  }
+  booksInProgress.add(key);
+
+  try {
+    const preview = await previewBookTags(bookId);
+
+    for (const file of preview.files) {
+      if (!file.supported) {
+        file.status = 'skipped';
+        continue;
+      }
+      if (!file.changed) {
+        file.status = 'unchanged';
+        continue;
+      }
+
+      try {
+        await writeFileTags(file, preview._cover, backup);
+        file.status = 'written';
+        console.log(`[TagWriter] Wrote tags to ${file.file}`);
+      } catch (error) {
+        file.status = 'failed';
+        file.error = error.message;
+        console.error(`[TagWriter] Failed to write ${file.file}:`, error.message);
+      }
+    }
+
+    return preview;
+  } finally {
+    booksInProgress.delete(key);
+  }
+}
+
+/**
+ * Write (or preview) tags for many books in the background
+ * @param {Object} options - { bookIds: null for every book, dryRun, backup }
+ * @returns {Object} - Batch status
+ */
+export function startBatchTagWrite({ bookIds = null, dryRun = false, backup = false } = {}) {
+  if (batchStatus.running) {
+    throw new Error('A tag write is already running');
+  }
+  if (!dryRun && !canWriteTags()) {
+    throw new Error('ffmpeg is required to write tags');
+  }
+
+  const db = getDb();
+  const ids = bookIds
+    ? bookIds.map(Number)
+    : db.prepare('SELECT id FROM books ORDER BY author, title').all().map(b => b.id);
+
+  batchStatus = createBatchStatus({ running: true, dryRun, backup, total: ids.length });
+
+  runBatch(ids, { dryRun, backup })
+    .catch(error => console.error('[TagWriter] Batch error:', error))
+    .finally(() => {
+      batchStatus.running = false;
+      batchStatus.current = '';
+      batchStatus.finishedAt = new Date().toISOString();
+    });
+
+  return getBatchTagWriteStatus();
+}
+
+/**
+ * Get the status of the current or last batch
+ * @returns {Object}
+ */
+export function getBatchTagWriteStatus() {
+  return { ...batchStatus, results: { ...batchStatus.results } };
+}
+
+async function runBatch(ids, { dryRun, backup }) {
+  for (let i = 0; i < ids.length; i++) {
+    batchStatus.progress = i + 1;
+
+    try {
+      const result = dryRun ? await previewBookTags(ids[i]) : await writeBookTags(ids[i], { backup });
+      batchStatus.current = result.title;
+
+      for (const file of result.files) {
+        const status = file.status || (!file.supported ? 'skipped' : file.changed ? 'written' : 'unchanged');
+        batchStatus.results[status]++;
+        if (status === 'failed') {
+          batchStatus.errors.push({ book_id: ids[i], file: file.file, error: file.error });
+        }
+      }
+    } catch (error) {
+      batchStatus.results.failed++;
+      batchStatus.errors.push({ book_id: ids[i], error: error.message });
+    }
+  }
+
+  console.log('[TagWriter] Batch complete:', batchStatus.results);
+}
+
+// Gather the book, its files (with the chapters in each) and the tags each file should get
+function getBookTagPlan(bookId) {
+  const db = getDb();
+  const book = db.prepare(`
+    SELECT b.*, s.name as series_name
+    FROM books b
+    LEFT JOIN series s ON b.series_id = s.id
+    WHERE b.id = ?
+  `).get(bookId);
+
+  if (!book) {
+    throw new Error('Book not found');
+  }
+
+  const chapters = db.prepare('SELECT * FROM chapters WHERE book_id = ? ORDER BY order_index').all(bookId);
+
+  const files = [];
+  for (const chapter of chapters) {
+    const last = files[files.length - 1];
+    if (last && last.file === chapter.file_path) {
+      last.chapters.push(chapter);
+    } else {
+      files.push({ file: chapter.file_path, chapters: [chapter] });
+    }
+  }
+
+  for (const file of files) {
+    const extension = path.extname(file.file).toLowerCase();
+    file.format = extension.slice(1);
+    file.supported = TAG_WRITE_EXTENSIONS.includes(extension) && fs.existsSync(file.file);
+    file.isMp4 = MP4_EXTENSIONS.includes(extension);
+    file.tags = buildTags(book, file, files.length === 1);
+    // Single-file M4B/M4A books carry their chapter list in the file
+    file.writeChapters = file.isMp4 && files.length === 1 && file.chapters.length > 1;
+  }
+
+  // Embed the same cover the app displays
+  const coverPath = getBookCoverFile(book);
+
+  return { book, files, coverPath };
+}
+
+function buildTags(book, file, isSingleFile) {
+  const description = book.description || book.api_description;
+  const seriesOrder = book.series_order ?? null;
+
+  const tags = {
+    // Multi-file books have one chapter per file, named in the title tag
+    title: isSingleFile ? book.title : (file.chapters[0].title || book.title),
+    album: book.title,
+    artist: book.author,
+    album_artist: book.author,
+    composer: book.narrator,
+    date: book.publication_year ? String(book.publication_year) : null,
+    genre: book.genre,
+    comment: description
+  };
+
+  if (MP4_EXTENSIONS.includes(path.extname(file.file).toLowerCase())) {
+    tags.description = description;
+    // MP4 has no series atom; players that read one use grouping
+    tags.grouping = book.series_name
+      ? (seriesOrder !== null ? `${book.series_name} #${seriesOrder}` : book.series_name)
+      : null;
+  } else {
+    // ID3v2 user-defined text frames (TXXX:SERIES and TXXX:SERIES-PART)
+    tags.series = book.series_name;
+    tags['series-part'] = seriesOrder !== null ? String(seriesOrder) : null;
+  }
+
+  // Missing values leave the existing tag alone rather than clearing it
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+/**
+ * Read the cover as it will be embedded
+ * @param {string|null} coverPath - Cover the app displays
+ * @returns {Promise<Object|null>} - { data, format }, or { error } if it can't be embedded; null without a cover
+ */
+async function loadEmbeddableCover(coverPath) {
+  if (!coverPath) return null;
+
+  const data = fs.readFileSync(coverPath);
+  const format = getImageInfo(data)?.format;
+  if (EMBEDDABLE_COVER_FORMATS.includes(format)) {
+    return { data, format };
+  }
+
+  if (!canWriteTags()) {
+    return { error: `${format ? format.toUpperCase() : 'This'} cover needs ffmpeg to convert it to JPEG` };
+  }
+
+  try {
+    return { data: await convertCoverToJpeg(coverPath), format: 'jpg' };
+  } catch (error) {
+    console.error(`[TagWriter] Could not convert cover ${coverPath}:`, error.message);
+    return { error: `Could not convert the cover to JPEG: ${error.message}` };
+  }
+}
+
+async function previewFile(file, cover) {
+  const preview = {
+    file: file.file,
+    format: file.format,
+    supported: file.supported,
+    tags: [],
+    cover: null,
+    chapters: null,
+    changed: false,
+    // Kept for writing; not part of the API response
+    _plan: file
+  };
+
+  if (!file.supported) return preview;
+
+  const metadata = await musicMetadata.parseFile(file.file);
+  const current = readCurrentTags(metadata);
+
+  preview.tags = Object.entries(file.tags).map(([key, value]) => ({
+    key,
+    label: TAG_LABELS[key] || key,
+    current: current[key] ?? null,
+    proposed: value,
+    changed: (current[key] ?? '') !== value
+  }));
+
+  if (cover) {
+    const existing = metadata.common.picture?.[0];
+    preview.cover = cover.error
+      ? { has_existing: Boolean(existing), changed: false, skipped: cover.error }
+      : { has_existing: Boolean(existing), changed: !existing || hashData(existing.data) !== hashData(cover.data) };
+  }
+
+  if (file.writeChapters) {
+    const currentChapters = await getEmbeddedChapters(file.file);
+    const proposed = file.chapters.map(chapter => ({
+      title: chapter.title,
+      start: chapter.file_start_seconds || 0,
+      end: chapter.file_end_seconds ?? (chapter.file_start_seconds || 0) + chapter.duration_seconds
+    }));
+    const changed = proposed.length !== currentChapters.length || proposed.some((chapter, i) =>
+      chapter.title !== currentChapters[i].title ||
+      Math.abs(chapter.start - currentChapters[i].startTime) > CHAPTER_TOLERANCE_SECONDS
+    );
+    preview.chapters = { current: currentChapters.length, proposed: proposed.length, changed, list: proposed };
+  }
+
+  preview.changed = preview.tags.some(tag => tag.changed) ||
+    Boolean(preview.cover?.changed) ||
+    Boolean(preview.chapters?.changed);
+
+  return preview;
+}
+
+// Current values of the tags buildTags() sets, as plain strings
+function readCurrentTags(metadata) {
+  const common = metadata.common;
+  const text = (value) => {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (first === undefined || first === null) return null;
+    return typeof first === 'object' ? (first.text ?? null) : String(first);
+  };
+
+  const id3 = [...(metadata.native['ID3v2.4'] || []), ...(metadata.native['ID3v2.3'] || [])];
+  const userText = (name) => text(id3.find(tag => String(tag.id).toUpperCase() === `TXXX:${name}`)?.value);
+
+  return {
+    title: text(common.title),
+    album: text(common.album),
+    artist: text(common.artist),
+    album_artist: text(common.albumartist),
+    composer: text(common.composer),
+    date: common.year ? String(common.year) : null,
+    genre: text(common.genre),
+    comment: text(common.comment),
+    description: text(common.description),
+    grouping: text(common.grouping),
+    series: userText('SERIES'),
+    'series-part': userText('SERIES-PART')
+  };
+}
+
+async function writeFileTags(preview, cover, backup) {
+  const plan = preview._plan;
+  const tempPath = `${plan.file}.tagging.tmp`;
+  const chaptersPath = `${tempPath}.chapters.txt`;
+  const coverPath = `${tempPath}.cover.${cover?.format}`;
+  const writeCover = Boolean(cover?.data && preview.cover?.changed);
+  const writeChapters = Boolean(preview.chapters?.changed);
+
+  const inputs = ['-i', plan.file];
+  const maps = ['-map', '0:a'];
+
+  if (writeCover) {
+    fs.writeFileSync(coverPath, cover.data);
+    inputs.push('-i', coverPath);
+    maps.push('-map', `${countInputs(inputs) - 1}:v`);
+  } else {
+    // Keep any existing embedded picture
+    maps.push('-map', '0:v?');
+  }
+
+  if (writeChapters) {
+    fs.writeFileSync(chaptersPath, buildChapterMetadata(preview.chapters.list));
+    inputs.push('-f', 'ffmetadata', '-i', chaptersPath);
+    maps.push('-map_chapters', String(countInputs(inputs) - 1));
+  }
+
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-y',
+    ...inputs,
+    ...maps,
+    '-map_metadata', '0',
+    '-c', 'copy',
+    ...Object.entries(plan.tags).flatMap(([key, value]) => ['-metadata', `${key}=${value}`]),
+    ...(writeCover ? ['-disposition:v:0', 'attached_pic'] : []),
+    ...(writeCover && !plan.isMp4 ? ['-metadata:s:v:0', 'comment=Cover (front)'] : []),
+    ...(plan.isMp4 ? ['-f', 'ipod'] : ['-id3v2_version', '3', '-f', 'mp3']),
+    tempPath
+  ];
+
+  try {
+    await runFfmpeg(args);
+
+    if (backup) {
+      const backupPath = `${plan.file}.bak`;
+      // Keep the oldest backup: that's the file as it was before this app first touched it
+      if (!fs.existsSync(backupPath)) {
+        fs.copyFileSync(plan.file, backupPath);
+      }
+    }
+
+    fs.renameSync(tempPath, plan.file);
+
+    // The new size and mtime are ours, not a change for the next scan to pick up
+    refreshFileFingerprints(getDb(), [plan.file]);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+    fs.rmSync(chaptersPath, { force: true });
+    fs.rmSync(coverPath, { force: true });
+  }
+}
+
+function countInputs(args) {
+  return args.filter(arg => arg === '-i').length;
+}
+
+// ffmetadata chapter list, with times in milliseconds
+function buildChapterMetadata(chapters) {
+  const escape = (value) => String(value).replace(/[=;#\\\n]/g, (char) => `\\${char}`);
+  const lines = [';FFMETADATA1'];
+
+  for (const chapter of chapters) {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escape(chapter.title || '')}`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(config.transcoding.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), JOB_TIMEOUT_MS);
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data;
+    });
+
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timeout);
+
+      if (code === 0) {
+        resolve();
+      } else {
+        const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+        reject(new Error(`ffmpeg failed (${reason}): ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+function hashData(data) {
+  return crypto.createHash('md5').update(data).digest('hex');
+}
+
+/**
+ * Strip internal fields from a preview or write result before sending it to clients
+ * @param {Object} result - From previewBookTags() or writeBookTags()
+ * @returns {Object}
+ */
+export function formatTagResult({ _cover, ...result }) {
+  return {
+    ...result,
+    files: result.files.map(({ _plan, ...file }) => file)
+  };
+}
@@ -0,0 +1,393 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import { getDb } from '../../database/init.js';
+import { config } from '../../config/index.js';
+
+/**
+ * Transcoder Service
+ * Serves audio files as HLS playlists of AAC segments made on demand by a local
+ * ffmpeg binary, keeping the segments in a size-limited cache on disk
+ */
+
+// Bitrates (kbps) listeners can pick from
+export const TRANSCODE_BITRATES = [32, 64, 96, 128];
+
+// Below this bitrate stereo isn't worth the bits for speech
+const MONO_BELOW_KBPS = 64;
+
+export const SEGMENT_SECONDS = 10;
+
+// Encodes allowed at once; starting another stops the one requested least recently
+const MAX_CONCURRENT_RUNS = 2;
+// An encode that finishes no segment for this long is stuck
+const RUN_STALL_TIMEOUT_MS = 60000;
+// A request this many segments past where an encode has got to waits for it rather than
+// starting another encode
+const RUN_WAIT_AHEAD_SEGMENTS = 3;
+// An encode stops once it's this far past the last segment requested from it; listening
+// on starts a new encode there
+const RUN_MAX_AHEAD_SEGMENTS = 180;
+
+// Wait this long after a segment is written before checking the cache size
+const PRUNE_DELAY_MS = 10000;
+// Prune down below the limit so the next few segments don't trigger another pass
+const PRUNE_TARGET_RATIO = 0.9;
+
+// Encodes write here inside a stream's folder, and move each segment out once it's complete
+const RUN_DIR_PREFIX = '.run-';
+
+let ffmpegInfo = null;
+// Running encodes. Each encodes a file from one segment onwards in a single ffmpeg run, so
+// the AAC encoder carries on across segment boundaries and segments join without gaps or
+// clicks; encoding each segment separately would start every one with encoder priming
+const runs = new Set();
+let runCount = 0;
+let pruneTimer = null;
+
+/**
+ * Check whether transcoding is switched on and ffmpeg can be run
+ * @returns {boolean}
+ */
+export function isTranscodingEnabled() {
+  const db = getDb();
+  const enabled = db.prepare("SELECT value FROM settings WHERE key = 'transcoding_enabled'").get()?.value === 'true';
+  return enabled && detectFfmpeg().available;
+}
+
+/**
+ * Find the ffmpeg binary; the result is cached for the life of the process
+ * @returns {Object} - { available, path, version }
+ */
+export function detectFfmpeg() {
+  if (ffmpegInfo) return ffmpegInfo;
+
+  const result = spawnSync(config.transcoding.ffmpegPath, ['-version'], {
+    encoding: 'utf-8',
+    timeout: 5000
+  });
+
+  if (result.error || result.status !== 0) {
+    ffmpegInfo = { available: false, path: config.transcoding.ffmpegPath, version: null };
+    console.log(`[Transcoder] ffmpeg not found at "${config.transcoding.ffmpegPath}"`);
+  } else {
+    const version = result.stdout.split('\n')[0].match(/ffmpeg version (\S+)/)?.[1] || 'unknown';
+    ffmpegInfo = { available: true, path: config.transcoding.ffmpegPath, version };
+    console.log(`[Transcoder] Using ffmpeg ${version}`);
+  }
+
+  return ffmpegInfo;
+}
+
+/**
+ * Get transcoder status for the admin dashboard
+ * @returns {Object} - ffmpeg info, whether enabled, and cache usage
+ */
+export function getTranscoderStatus() {
+  const files = listCacheFiles();
+
+  return {
+    enabled: isTranscodingEnabled(),
+    ffmpeg: detectFfmpeg(),
+    running_jobs: runs.size,
+    cache: {
+      path: config.transcoding.cachePath,
+      size_bytes: files.reduce((sum, file) => sum + file.size, 0),
+      max_bytes: getCacheMaxBytes(),
+      segments: files.length
+    }
+  };
+}
+
+/**
+ * Build an HLS playlist covering a whole audio file
+ * @param {number} fileDuration - Length of the file in seconds
+ * @param {string} query - Query string appended to each segment URL (e.g. the auth token)
+ * @returns {string} - M3U8 playlist
+ */
+export function buildPlaylist(fileDuration, query = '') {
+  const count = getSegmentCount(fileDuration);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+
+  for (let i = 0; i < count; i++) {
+    const length = Math.min(SEGMENT_SECONDS, fileDuration - i * SEGMENT_SECONDS);
+    lines.push(`#EXTINF:${length.toFixed(3)},`);
+    lines.push(`segments/${i}.ts${query}`);
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Number of segments a file is split into
+ * @param {number} fileDuration - Length of the file in seconds
+ * @returns {number}
+ */
+export function getSegmentCount(fileDuration) {
+  return Math.max(1, Math.ceil(fileDuration / SEGMENT_SECONDS));
+}
+
+/**
+ * Get a transcoded segment, making it with ffmpeg unless it's cached
+ * @param {Object} options - { filePath, bookId, segment, bitrate }
+ * @returns {Promise<string>} - Path of the segment file
+ */
+export async function getSegment({ filePath, bookId, segment, bitrate }) {
+  const streamDir = getStreamDir(filePath, bookId, bitrate);
+  const segmentPath = path.join(streamDir, `${segment}.ts`);
+
+  let run = [...runs].find(r => r.streamDir === streamDir && segment >= r.next - 1 &&
+    segment <= r.next + RUN_WAIT_AHEAD_SEGMENTS);
+  if (run) {
+    run.lastRequested = Math.max(run.lastRequested, segment);
+    run.lastRequestedAt = Date.now();
+  }
+
+  if (fs.existsSync(segmentPath)) {
+    // Mark as recently used so pruning removes older segments first
+    const now = new Date();
+    fs.promises.utimes(segmentPath, now, now).catch(() => {});
+    return segmentPath;
+  }
+
+  if (!run) {
+    run = startRun({ filePath, streamDir, segment, bitrate });
+  }
+
+  await new Promise((resolve, reject) => {
+    if (!run.waiters.has(segment)) run.waiters.set(segment, []);
+    run.waiters.get(segment).push({ resolve, reject });
+  });
+
+  schedulePrune();
+  return segmentPath;
+}
+
+/**
+ * Delete every cached segment
+ */
+export function clearTranscodeCache() {
+  for (const run of runs) {
+    stopRun(run, new Error('Transcode cache cleared'));
+  }
+  fs.rmSync(config.transcoding.cachePath, { recursive: true, force: true });
+  console.log('[Transcoder] Cache cleared');
+}
+
+function getStreamDir(filePath, bookId, bitrate) {
+  // Keyed on the file's size and mtime, so a replaced file never serves stale audio
+  const stat = fs.statSync(filePath);
+  const key = crypto.createHash('sha1')
+    .update(`${filePath}:${stat.size}:${stat.mtimeMs}`)
+    .digest('hex')
+    .slice(0, 16);
+
+  return path.join(config.transcoding.cachePath, `${bookId}-${key}`, `${bitrate}k`);
+}
+
+// Start encoding a file from a segment to its end, making one segment file every SEGMENT_SECONDS
+function startRun({ filePath, streamDir, segment, bitrate }) {
+  // Make room by stopping whichever encode was requested from least recently, preferring
+  // ones nobody is waiting on
+  if (runs.size >= MAX_CONCURRENT_RUNS) {
+    const oldest = [...runs].sort((a, b) =>
+      (a.waiters.size > 0) - (b.waiters.size > 0) || a.lastRequestedAt - b.lastRequestedAt)[0];
+    stopRun(oldest);
+  }
+
+  const runDir = path.join(streamDir, `${RUN_DIR_PREFIX}${process.pid}-${++runCount}`);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  const start = segment * SEGMENT_SECONDS;
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-ss', String(start),
+    '-i', filePath,
+    '-map', '0:a:0',
+    '-vn',
+    '-c:a', 'aac',
+    '-b:a', `${bitrate}k`,
+    ...(bitrate < MONO_BELOW_KBPS ? ['-ac', '1'] : []),
+    '-muxdelay', '0',
+    '-muxpreload', '0',
+    '-f', 'segment',
+    '-segment_time', String(SEGMENT_SECONDS),
+    '-segment_start_number', String(segment),
+    // Keep timestamps continuous with the rest of the file so players don't see a jump
+    '-initial_offset', String(start),
+    '-segment_format', 'mpegts',
+    // Each finished segment is listed on stdout as "<name>,<start>,<end>"
+    '-segment_list', 'pipe:1',
+    '-segment_list_type', 'csv',
+    path.join(runDir, '%d.ts')
+  ];
+
+  const run = {
+    streamDir,
+    runDir,
+    next: segment,
+    lastRequested: segment,
+    lastRequestedAt: Date.now(),
+    waiters: new Map(),
+    stallTimer: null,
+    process: spawn(config.transcoding.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] })
+  };
+  runs.add(run);
+  resetStallTimer(run);
+
+  let stdout = '';
+  let stderr = '';
+
+  run.process.stdout.on('data', (data) => {
+    stdout += data;
+    const lines = stdout.split('\n');
+    stdout = lines.pop();
+
+    for (const line of lines) {
+      const name = line.split(',')[0].trim();
+      if (name) finishSegment(run, name);
+    }
+  });
+
+  run.process.stderr.on('data', (data) => {
+    stderr += data;
+  });
+
+  run.process.on('error', (error) => {
+    stopRun(run, error);
+  });
+
+  run.process.on('close', (code, signal) => {
+    const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+    stopRun(run, code === 0
+      ? new Error('Segment not found')
+      : new Error(`ffmpeg failed (${reason}): ${stderr.trim()}`));
+  });
+
+  return run;
+}
+
+// Move a finished segment into the cache and hand it to whoever is waiting for it
+function finishSegment(run, name) {
+  const segment = parseInt(name, 10);
+  if (!runs.has(run) || Number.isNaN(segment)) return;
+
+  try {
+    fs.renameSync(path.join(run.runDir, name), path.join(run.streamDir, `${segment}.ts`));
+  } catch (error) {
+    // The cache was cleared or pruned under the encode
+    stopRun(run, new Error(`Could not save segment ${segment}: ${error.message}`));
+    return;
+  }
+
+  for (const waiter of run.waiters.get(segment) || []) {
+    waiter.resolve();
+  }
+  run.waiters.delete(segment);
+  run.next = segment + 1;
+  resetStallTimer(run);
+
+  if (run.next > run.lastRequested + RUN_MAX_AHEAD_SEGMENTS) {
+    stopRun(run);
+  }
+}
+
+function resetStallTimer(run) {
+  clearTimeout(run.stallTimer);
+  run.stallTimer = setTimeout(() => {
+    stopRun(run, new Error('ffmpeg stopped making progress'));
+  }, RUN_STALL_TIMEOUT_MS);
+}
+
+// Stop an encode, failing any requests still waiting on it
+function stopRun(run, error = new Error('Transcode stopped')) {
+  if (!runs.has(run)) return;
+  runs.delete(run);
+
+  clearTimeout(run.stallTimer);
+  if (run.process.exitCode === null && run.process.signalCode === null) {
+    run.process.kill('SIGKILL');
+  }
+  fs.rmSync(run.runDir, { recursive: true, force: true });
+
+  for (const waiters of run.waiters.values()) {
+    for (const waiter of waiters) {
+      waiter.reject(error);
+    }
+  }
+  run.waiters.clear();
+}
+
+function getCacheMaxBytes() {
+  const db = getDb();
+  const maxMb = parseInt(db.prepare("SELECT value FROM settings WHERE key = 'transcoding_cache_max_mb'").get()?.value, 10);
+  return (maxMb > 0 ? maxMb : 0) * 1024 * 1024;
+}
+
+function schedulePrune() {
+  if (pruneTimer) return;
+
+  pruneTimer = setTimeout(() => {
+    pruneTimer = null;
+    try {
+      pruneCache();
+    } catch (error) {
+      console.error('[Transcoder] Cache prune failed:', error);
+    }
+  }, PRUNE_DELAY_MS);
+}
+
+function pruneCache() {
+  const maxBytes = getCacheMaxBytes();
+  const files = listCacheFiles();
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+
+  if (total <= maxBytes) return;
+
+  const target = maxBytes * PRUNE_TARGET_RATIO;
+  let removed = 0;
+
+  // Least recently used first
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const file of files) {
+    if (total <= target) break;
+    fs.rmSync(file.path, { force: true });
+    total -= file.size;
+    removed++;
+  }
+
+  console.log(`[Transcoder] Pruned ${removed} cached segments`);
+}
+
+function listCacheFiles() {
+  const root = config.transcoding.cachePath;
+  if (!fs.existsSync(root)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(root, { recursive: true, withFileTypes: true })) {
+    if (!entry.isFile() || !entry.name.endsWith('.ts')) continue;
+
+    // Segments still being written belong to their encode
+    const dir = entry.parentPath ?? entry.path;
+    if (path.basename(dir).startsWith(RUN_DIR_PREFIX)) continue;
+
+    const filePath = path.join(dir, entry.name);
+    try {
+      const stat = fs.statSync(filePath);
+      files.push({ path: filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch {
+      // Removed while listing
+    }
+  }
+  return files;
+}
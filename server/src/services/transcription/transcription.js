@@ -292,7 +292,7 @@ export async function transcribeBook(bookId, onProgress = () => {}) {
 
   // Get all chapters for the book
   const chapters = db.prepare(`
-    SELECT id, order_index, file_path, duration_seconds
+    SELECT id, order_index, file_path, duration_seconds, file_start_seconds, file_end_seconds
     FROM chapters
     WHERE book_id = ?
     ORDER BY order_index ASC
@@ -305,6 +305,9 @@ export async function transcribeBook(bookId, onProgress = () => {}) {
   const transcriptions = [];
   let cumulativeTime = 0;
 
+  // Whole-file transcriptions, shared by virtual chapters of the same file
+  const fileTranscriptions = new Map();
+
   for (let i = 0; i < chapters.length; i++) {
     const chapter = chapters[i];
     onProgress(Math.round((i / chapters.length) * 100), `Transcribing chapter ${i + 1} of ${chapters.length}...`);
@@ -322,9 +325,22 @@ export async function transcribeBook(bookId, onProgress = () => {}) {
       chapterTranscription = JSON.parse(cached.sentence_timestamps);
     } else {
       console.log(`[Transcription] Transcribing chapter ${chapter.order_index}...`);
-      chapterTranscription = await transcribeChapter(chapter.file_path, (msg) => {
+      const onStatus = (msg) => {
         onProgress(Math.round((i / chapters.length) * 100), msg);
-      });
+      };
+
+      if (chapter.file_end_seconds !== null) {
+        if (!fileTranscriptions.has(chapter.file_path)) {
+          fileTranscriptions.set(chapter.file_path, await transcribeChapter(chapter.file_path, onStatus));
+        }
+        chapterTranscription = sliceTranscription(
+          fileTranscriptions.get(chapter.file_path),
+          chapter.file_start_seconds || 0,
+          chapter.file_end_seconds
+        );
+      } else {
+        chapterTranscription = await transcribeChapter(chapter.file_path, onStatus);
+      }
 
       // Cache the transcription
       db.prepare(`
@@ -354,6 +370,28 @@ export async function transcribeBook(bookId, onProgress = () => {}) {
   };
 }
 
+/**
+ * Extract the part of a whole-file transcription that belongs to one chapter
+ * @param {Object} fileTranscription - Transcription of the entire audio file
+ * @param {number} start - Chapter start within the file (seconds)
+ * @param {number} end - Chapter end within the file (seconds)
+ * @returns {Object} Transcription with chapter-relative timestamps
+ */
+function sliceTranscription(fileTranscription, start, end) {
+  const sentences = fileTranscription.sentences
+    .filter(sentence => sentence.start >= start && sentence.start < end)
+    .map(sentence => ({
+      ...sentence,
+      start: sentence.start - start,
+      end: Math.min(sentence.end, end) - start
+    }));
+
+  return {
+    duration: end - start,
+    sentences
+  };
+}
+
 /**
  * Transcribe a single audio file using Whisper
  * @param {string} audioPath - Path to audio file
@@ -486,7 +524,7 @@ async function createSyntheticTranscription(audioPath) {
   // Try to get duration from the database or estimate
   const db = getDb();
   const chapter = db.prepare(
-    'SELECT duration_seconds FROM chapters WHERE file_path = ?'
+    'SELECT MAX(COALESCE(file_end_seconds, duration_seconds)) as duration_seconds FROM chapters WHERE file_path = ?'
   ).get(audioPath);
 
   const duration = chapter?.duration_seconds || 300; // Default 5 minutes
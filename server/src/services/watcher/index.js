@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { getDb } from '../../database/init.js';
+import { config } from '../../config/index.js';
+import { scanChangedPaths, getScanStatus } from '../scanner/index.js';
+import { getLibraryLayout } from '../scanner/layout.js';
+
+/**
+ * Library Watcher Service
+ * Watches the library folder and rescans only the folders that changed
+ */
+
+// Wait for this long without new events before scanning, so copies can finish
+const DEBOUNCE_MS = 20000;
+
+let watchers = [];
+let watchedPath = null;
+let recursive = true;
+let pendingPaths = new Set();
+let debounceTimer = null;
+
+let watcherStatus = {
+  lastRun: null,
+  lastResult: null,
+  lastError: null
+};
+
+/**
+ * Start the watcher if enabled in settings
+ */
+export function startWatcher() {
+  const db = getDb();
+  const enabled = db.prepare("SELECT value FROM settings WHERE key = 'library_watch_enabled'").get()?.value === 'true';
+
+  if (enabled) {
+    enableWatcher();
+  }
+}
+
+/**
+ * Turn the watcher on or off (restarts it if the library path changed)
+ * @param {boolean} enabled - Whether the watcher should run
+ */
+export function setWatcherEnabled(enabled) {
+  stopWatcher();
+  if (enabled) {
+    enableWatcher();
+  }
+}
+
+/**
+ * Stop watching and drop any pending changes
+ */
+export function stopWatcher() {
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  watchers = [];
+  watchedPath = null;
+  pendingPaths = new Set();
+
+  if (debounceTimer) {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+  }
+}
+
+/**
+ * Get watcher status
+ * @returns {Object} - Whether the watcher is active, pending changes and last run
+ */
+export function getWatcherStatus() {
+  return {
+    active: watchers.length > 0,
+    path: watchedPath,
+    recursive,
+    pending: pendingPaths.size,
+    lastRun: watcherStatus.lastRun,
+    lastResult: watcherStatus.lastResult,
+    lastError: watcherStatus.lastError
+  };
+}
+
+function enableWatcher() {
+  const db = getDb();
+  const libraryPath = db.prepare("SELECT value FROM settings WHERE key = 'library_path'").get()?.value
+    || config.library.path;
+
+  if (!fs.existsSync(libraryPath)) {
+    watcherStatus.lastError = `Library path does not exist: ${libraryPath}`;
+    console.error(`[Watcher] ${watcherStatus.lastError}`);
+    return;
+  }
+
+  watchedPath = libraryPath;
+  watcherStatus.lastError = null;
+
+  try {
+    watchers = [watchDirectory(libraryPath, { recursive: true })];
+    recursive = true;
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      watcherStatus.lastError = error.message;
+      watchedPath = null;
+      console.error('[Watcher] Failed to start:', error.message);
+      return;
+    }
+    recursive = false;
+    refreshFallbackWatchers();
+  }
+
+  console.log(`[Watcher] Watching ${libraryPath}${recursive ? '' : ' (per-folder mode)'}`);
+}
+
+function watchDirectory(dirPath, options = {}) {
+  const watcher = fs.watch(dirPath, options, (eventType, filename) => {
+    queueChange(filename ? path.join(dirPath, filename.toString()) : dirPath);
+  });
+
+  watcher.on('error', (error) => {
+    console.error(`[Watcher] Error watching ${dirPath}:`, error.message);
+  });
+
+  return watcher;
+}
+
+// Recreate per-folder watchers so newly added author/book folders are covered
+function refreshFallbackWatchers() {
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  watchers = [];
+
+  // Without recursive fs.watch support, watch the library root and each level of the layout
+  const directories = [];
+  collectDirectories(watchedPath, 0, getLibraryLayout().length, directories);
+
+  for (const dirPath of directories) {
+    try {
+      watchers.push(watchDirectory(dirPath));
+    } catch (error) {
+      console.error(`[Watcher] Could not watch ${dirPath}:`, error.message);
+    }
+  }
+}
+
+function collectDirectories(dirPath, depth, maxDepth, directories) {
+  directories.push(dirPath);
+  if (depth >= maxDepth) {
+    return;
+  }
+
+  try {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        collectDirectories(path.join(dirPath, entry.name), depth + 1, maxDepth, directories);
+      }
+    }
+  } catch {
+    // Folder vanished while walking
+  }
+}
+
+function queueChange(changedPath) {
+  pendingPaths.add(changedPath);
+
+  if (debounceTimer) {
+    clearTimeout(debounceTimer);
+  }
+  debounceTimer = setTimeout(flushChanges, DEBOUNCE_MS);
+}
+
+async function flushChanges() {
+  debounceTimer = null;
+
+  // Let a running scan finish, then try again
+  if (getScanStatus().scanning) {
+    debounceTimer = setTimeout(flushChanges, DEBOUNCE_MS);
+    return;
+  }
+
+  const changedPaths = [...pendingPaths];
+  pendingPaths = new Set();
+
+  if (changedPaths.length === 0) {
+    return;
+  }
+
+  console.log(`[Watcher] Processing ${changedPaths.length} changed paths`);
+  watcherStatus.lastRun = new Date().toISOString();
+
+  try {
+    watcherStatus.lastResult = await scanChangedPaths(changedPaths);
+    watcherStatus.lastError = null;
+  } catch (error) {
+    console.error('[Watcher] Incremental scan failed:', error.message);
+    watcherStatus.lastError = error.message;
+  }
+
+  if (!recursive && watchedPath) {
+    refreshFallbackWatchers();
+  }
+}
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractMetadata, getEmbeddedChapters } from '../src/services/metadata/index.js';
+
+// Fixtures are made by scripts/generate-test-fixtures.js: each is a tone this long, in seconds
+const AUDIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'audio');
+const FIXTURE_DURATION = 3;
+
+// Encoders pad to whole frames and AAC adds a priming frame, so lengths are only close to
+// the tone's; at 8 kHz an AAC frame is 128 ms
+const DURATION_TOLERANCE = 0.25;
+
+function fixture(file) {
+  return path.join(AUDIO_DIR, file);
+}
+
+function assertChapters(actual, expected) {
+  assert.equal(actual.length, expected.length, `expected ${expected.length} chapters, got ${JSON.stringify(actual)}`);
+  expected.forEach((chapter, i) => {
+    assert.equal(actual[i].title, chapter.title);
+    assert.ok(Math.abs(actual[i].startTime - chapter.startTime) < 0.001, `chapter ${i} starts at ${actual[i].startTime}`);
+    assert.ok(Math.abs(actual[i].endTime - chapter.endTime) < DURATION_TOLERANCE, `chapter ${i} ends at ${actual[i].endTime}`);
+  });
+}
+
+describe('extractMetadata duration', () => {
+  const files = [
+    'chapters.flac', 'chapters.ogg', 'chapters.opus', 'chapters.m4b', 'tone.aac', 'tone.wav', 'tone.wma', 'tone.mka'
+  ];
+  for (const file of files) {
+    test(path.extname(file).slice(1), async () => {
+      const { duration } = await extractMetadata(fixture(file));
+      assert.ok(
+        Math.abs(duration - FIXTURE_DURATION) < DURATION_TOLERANCE,
+        `${file} is ${duration}s, expected about ${FIXTURE_DURATION}s`
+      );
+    });
+  }
+});
+
+describe('getEmbeddedChapters with Vorbis comments', () => {
+  test('reads CHAPTERxxx and CHAPTERxxxNAME from FLAC', async () => {
+    assertChapters(await getEmbeddedChapters(fixture('chapters.flac')), [
+      { title: 'Opening', startTime: 0, endTime: 1.5 },
+      { title: 'Closing', startTime: 1.5, endTime: FIXTURE_DURATION }
+    ]);
+  });
+
+  test('reads chapters from Opus', async () => {
+    assertChapters(await getEmbeddedChapters(fixture('chapters.opus')), [
+      { title: 'Part One', startTime: 0, endTime: 1 },
+      { title: 'Part Two', startTime: 1, endTime: FIXTURE_DURATION }
+    ]);
+  });
+
+  test('sorts OGG chapters by start, names unnamed ones and skips malformed timestamps', async () => {
+    assertChapters(await getEmbeddedChapters(fixture('chapters.ogg')), [
+      { title: 'First', startTime: 0, endTime: 1 },
+      { title: 'Chapter 2', startTime: 1, endTime: 2.25 },
+      { title: 'Third', startTime: 2.25, endTime: FIXTURE_DURATION }
+    ]);
+  });
+
+  test('formats without chapter markers have none', async () => {
+    assert.deepEqual(await getEmbeddedChapters(fixture('tone.wav')), []);
+  });
+});
+
+describe('getEmbeddedChapters with container chapters', () => {
+  test('reads M4B chapters written by ffmpeg', async () => {
+    assertChapters(await getEmbeddedChapters(fixture('chapters.m4b')), [
+      { title: 'Introduction', startTime: 0, endTime: 1.25 },
+      { title: 'Main Part', startTime: 1.25, endTime: 2.5 },
+      { title: 'Credits', startTime: 2.5, endTime: FIXTURE_DURATION }
+    ]);
+  });
+
+  test('reads the Matroska Chapters element', async () => {
+    assertChapters(await getEmbeddedChapters(fixture('chapters.mka')), [
+      { title: 'Side A', startTime: 0, endTime: 2 },
+      { title: 'Side B', startTime: 2, endTime: FIXTURE_DURATION }
+    ]);
+  });
+
+  test('Matroska files without chapters have none', async () => {
+    assert.deepEqual(await getEmbeddedChapters(fixture('tone.mka')), []);
+  });
+});